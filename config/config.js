@@ -1,6 +1,9 @@
 require('dotenv').config();
 
 module.exports = {
+  database: {
+    uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/live-stream'
+  },
   rtmp: {
     port: 1935,
     chunk_size: 60000,
@@ -15,15 +18,209 @@ module.exports = {
   },
   trans: {
     ffmpeg: 'C:/ffmpeg/bin/ffmpeg.exe', // Update this path to your FFmpeg installation
-    tasks: [
-      {
-        app: 'live',
-        hls: true,
-        hlsFlags: '[hls_time=2:hls_list_size=3:hls_flags=delete_segments]',
-        dash: true,
-        dashFlags: '[f=dash:window_size=3:extra_window_size=1]'
-      }
-    ]
+    // HLS and DASH are produced per stream by the transcode service using
+    // the publisher's TranscodeProfile (or abr.defaultProfile)
+    tasks: []
+  },
+  abr: {
+    hlsTime: 2, // target segment length in seconds, rounded up to whole GOPs
+    hlsListSize: 6, // segments kept in each live playlist
+    // Used when no TranscodeProfile is assigned to the publisher or their role.
+    // Renditions above the source resolution are skipped. Bitrates are in kbps;
+    // profile/level feed the playlist CODECS attribute.
+    defaultProfile: {
+      name: 'default',
+      videoCodec: 'h264',
+      gopSeconds: 2,
+      audioBitrate: 128,
+      hls: true,
+      dash: false,
+      renditions: [
+        { name: '1080p', height: 1080, videoBitrate: 5000, profile: 'high', level: '4.2' },
+        { name: '720p', height: 720, videoBitrate: 2800, profile: 'main', level: '3.2' },
+        { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 96, profile: 'main', level: '3.1' },
+        { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96, profile: 'baseline', level: '3.0' },
+        { name: 'audio', audioOnly: true, audioBitrate: 64 }
+      ]
+    }
+  },
+  thumbnails: {
+    firstCaptureDelay: 5, // seconds after going live before the first grab
+    liveInterval: 30, // seconds between live thumbnail grabs
+    captureTimeout: 15, // seconds before a stalled grab is abandoned
+    width: 640,
+    // Scrub-bar preview sprites for finished recordings
+    spriteInterval: 10, // seconds between sprite frames
+    spriteWidth: 160,
+    spriteHeight: 90,
+    spriteColumns: 10,
+    spriteRows: 10
+  },
+  recording: {
+    segmentDuration: 300, // seconds per on-disk segment while recording
+    maxRestarts: 20, // recorder restarts after ffmpeg dies before giving up
+    restartDelay: 2 // seconds before restarting a crashed recorder
+  },
+  vod: {
+    // Segment length for recordings packaged as VOD HLS (cut on keyframes)
+    hlsTime: 6
+  },
+  probe: {
+    // Recordings whose probed duration differs from the broadcast's
+    // wall-clock time (less gaps) by more than the larger of these are
+    // flagged with `durationMismatch`
+    durationTolerance: 10, // seconds
+    durationToleranceRatio: 0.02,
+    maxKeyframes: 20000 // keyframe positions stored per recording
+  },
+  highlights: {
+    // Chat and reaction activity is counted per bucket; a bucket well above
+    // the recent average becomes a highlight marker on the recording
+    bucketSize: 10, // seconds
+    baselineWindow: 30, // buckets averaged for the usual rate (5 minutes)
+    warmup: 60, // seconds of activity seen before spikes are detected
+    reactionWeight: 0.5, // a reaction counts as half a chat message
+    minActivity: 10, // weighted messages a bucket needs to count as a spike
+    spikeRatio: 3, // ... and how many times the usual rate
+    cooldown: 120, // seconds between automatic highlights
+    leadIn: 20, // seconds before the spike a highlight is placed; chat lags the moment
+    minChapterLength: 30, // seconds; closer markers are merged into one chapter
+    maxMarkers: 200 // per recording
+  },
+  clips: {
+    // Clip length limits in seconds; live clips default to the last 30s
+    minDuration: 15,
+    maxDuration: 60,
+    defaultDuration: 30,
+    maxPendingPerUser: 3 // clips a user can have rendering at once
+  },
+  exports: {
+    // Conversions of finished recordings for download (see exportService)
+    maxPendingPerUser: 3, // exports a user can have converting at once
+    downloadTtl: 60 * 60 // seconds a download link stays valid
+  },
+  jobs: {
+    // ffmpeg post-processing and renders this node runs at once
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+    pollInterval: 2, // seconds between checks for queued jobs
+    maxAttempts: 3, // tries before a job fails, unless its type says otherwise
+    backoffBase: 30, // seconds before the first retry, doubled after each failure
+    backoffMax: 15 * 60, // seconds
+    heartbeatInterval: 10, // seconds between lock and progress refreshes of running jobs
+    staleAfter: 60, // seconds without a heartbeat before a running job is requeued
+    maxLogLines: 200, // log lines kept per job
+    retainCompleted: 7 * 24 * 60 * 60 // seconds before completed jobs are purged
+  },
+  retention: {
+    // Recording retention per role; User.retention overrides it. A
+    // recording is removed once it's older than `maxAgeDays` or no longer
+    // among the owner's `keepLast` newest (0 turns a rule off). Pinned
+    // recordings are always kept.
+    roles: {
+      user: { maxAgeDays: 30, keepLast: 0 },
+      streamer: { maxAgeDays: 90, keepLast: 0 },
+      admin: { maxAgeDays: 0, keepLast: 0 }
+    },
+    sweepInterval: 24 * 60 * 60, // seconds between retention runs
+    // Log what would be removed instead of removing it
+    dryRun: process.env.RETENTION_DRY_RUN === 'true'
+  },
+  quotas: {
+    // Recording storage per account in bytes (User.storageQuota overrides,
+    // 0 = unlimited). Over quota, the oldest unpinned recordings are removed.
+    roles: {
+      user: 10 * 1024 ** 3,
+      streamer: 100 * 1024 ** 3,
+      admin: 0
+    }
+  },
+  storage: {
+    // Where finished recordings, clips and their thumbnails are kept: 'local'
+    // (./recordings on this node) or 's3' (any S3-compatible store)
+    driver: process.env.STORAGE_DRIVER || 'local',
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      // Custom endpoint for S3-compatible stores, e.g. http://localhost:9000
+      // for MinIO (which also needs path-style addressing)
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      // Falls back to the AWS SDK's usual credential chain when unset
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX || '', // key prefix inside the bucket
+      signedUrlTtl: parseInt(process.env.S3_SIGNED_URL_TTL || '3600', 10) // seconds
+    }
+  },
+  playback: {
+    // Transcoded HLS/DASH output. Kept outside http.mediaroot so it's only
+    // reachable through the authorized playback gateway, never by stream key.
+    mediaDir: './playback'
+  },
+  dvr: {
+    // Longest rewind window a stream may ask for (Stream.dvrWindow, seconds)
+    maxWindow: 2 * 60 * 60,
+    // Seconds between sweeps deleting live segments that have aged out of
+    // their stream's window (e.g. left behind by a publisher reconnect)
+    sweepInterval: 60
+  },
+  llHls: {
+    // LL-HLS part length in seconds; should divide the GOP length evenly
+    partDuration: 0.5,
+    // Target durations to hold a blocking playlist reload before answering 503
+    blockTimeout: 3
+  },
+  streaming: {
+    // Seconds to hold a broadcast open after the publisher drops so a
+    // reconnect resumes the same stream and recording (0 disables)
+    reconnectGracePeriod: parseInt(process.env.RECONNECT_GRACE_PERIOD || '15', 10)
+  },
+  streamKeys: {
+    maxPerUser: 10 // active keys per user
+  },
+  health: {
+    sampleInterval: 5, // seconds between ingest samples
+    historySize: 120, // samples kept per stream (10 minutes at 5s)
+    minBitrate: 300, // kbps below which the bitrate is considered collapsed
+    bitrateDropRatio: 0.5, // warn when bitrate falls below this share of the recent average
+    maxKeyframeInterval: 4 // seconds
+  },
+  streamTokens: {
+    // Signs the short-lived tokens used in RTMP publish/play URLs
+    secret: process.env.STREAM_TOKEN_SECRET || process.env.SECRET_KEY || 'your_stream_token_secret',
+    publishTtl: 60 * 60, // seconds
+    playTtl: 4 * 60 * 60, // seconds
+    maxTtl: 24 * 60 * 60, // seconds
+    // Accept full user JWTs in RTMP URLs (deprecated, for migrating encoders)
+    allowJwt: process.env.ALLOW_JWT_STREAM_AUTH === 'true'
+  },
+  admission: {
+    // Concurrent broadcasts a single account may run (User.maxConcurrentStreams overrides)
+    maxPerUser: parseInt(process.env.MAX_STREAMS_PER_USER || '1', 10),
+    // Concurrent broadcasts across all accounts of a role
+    maxPerRole: {
+      streamer: parseInt(process.env.MAX_STREAMS_STREAMER || '40', 10),
+      admin: parseInt(process.env.MAX_STREAMS_ADMIN || '10', 10)
+    },
+    // Concurrent broadcasts this node will ingest, transcode and record
+    maxTotal: parseInt(process.env.MAX_STREAMS_TOTAL || '50', 10)
+  },
+  restream: {
+    maxDestinations: 5, // saved destinations per user
+    maxRetries: 5, // reconnect attempts before a relay is marked failed
+    retryDelay: 5 // seconds, doubled after each failed attempt
+  },
+  pullIngest: {
+    maxRetries: 10, // reconnect attempts before a pull source is marked failed
+    retryDelay: 5, // seconds, doubled after each failed attempt (capped at 60s)
+    // Hosts, addresses or CIDR ranges sources may use even though they're
+    // private or local, e.g. `localhost,10.0.0.0/8`; everything else must
+    // resolve to a public address
+    allowedHosts: (process.env.PULL_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean)
+  },
+  encryption: {
+    // Encrypts secrets stored at rest, such as restream destination keys
+    secret: process.env.ENCRYPTION_KEY || process.env.SECRET_KEY || 'your_encryption_key'
   },
   auth: {
     api: true,
@@ -0,0 +1,558 @@
+const { validationResult } = require('express-validator');
+const Stream = require('../models/Stream');
+const Ban = require('../models/Ban');
+const User = require('../models/User');
+const TranscodeProfile = require('../models/TranscodeProfile');
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+const retentionService = require('../services/retentionService');
+
+class AdminController {
+  constructor(rtmpServer) {
+    this.rtmpServer = rtmpServer;
+  }
+  
+  // @desc    Current broadcast utilisation against admission limits
+  // @route   GET /api/admin/utilisation
+  // @access  Private (Admin)
+  async getUtilisation(req, res) {
+    try {
+      const utilisation = await this.rtmpServer.getUtilisation();
+      
+      res.json({ success: true, utilisation });
+    } catch (error) {
+      console.error('Error getting utilisation:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    List live publisher and player sessions
+  // @route   GET /api/admin/sessions
+  // @access  Private (Admin)
+  async getSessions(req, res) {
+    try {
+      const sessions = this.rtmpServer.listSessions();
+      
+      res.json({ success: true, ...sessions });
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Forcibly disconnect an RTMP session
+  // @route   DELETE /api/admin/sessions/:id
+  // @access  Private (Admin)
+  async disconnectSession(req, res) {
+    try {
+      if (!this.rtmpServer.disconnectSession(req.params.id)) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Session not found' 
+        });
+      }
+      
+      res.json({ success: true, message: 'Session disconnected' });
+    } catch (error) {
+      console.error('Error disconnecting session:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Force-end a broadcast: stop recording and drop the publisher
+  // @route   POST /api/admin/streams/:id/end
+  // @access  Private (Admin)
+  async forceEndStream(req, res) {
+    try {
+      const stream = await Stream.findById(req.params.id);
+      
+      if (!stream) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Stream not found' 
+        });
+      }
+      
+      const result = await this.rtmpServer.forceEndStream(stream.streamKey);
+      
+      res.json({ 
+        success: true, 
+        message: 'Stream ended', 
+        streamId: result.streamId, 
+        duration: result.duration 
+      });
+    } catch (error) {
+      if (error.message === 'Stream is not live') {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      console.error('Error force-ending stream:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    List bans (active by default, `?all=true` includes expired)
+  // @route   GET /api/admin/bans
+  // @access  Private (Admin)
+  async getBans(req, res) {
+    try {
+      const query = req.query.all === 'true'
+        ? {}
+        : { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+      
+      const bans = await Ban.find(query)
+        .populate('user', 'username')
+        .populate('createdBy', 'username')
+        .sort({ createdAt: -1 });
+      
+      res.json({ success: true, bans });
+    } catch (error) {
+      console.error('Error listing bans:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Ban a user or IP from publishing and/or playing
+  // @route   POST /api/admin/bans
+  // @access  Private (Admin)
+  async createBan(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    try {
+      const { userId, ip, actions, duration, reason } = req.body;
+      
+      if (!userId && !ip) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'A userId or ip is required' 
+        });
+      }
+      
+      const ban = await Ban.create({
+        user: userId,
+        ip,
+        actions: actions || ['publish', 'play'],
+        reason,
+        expiresAt: duration ? new Date(Date.now() + duration * 1000) : undefined,
+        createdBy: req.user.id
+      });
+      
+      // Drop sessions the ban already covers
+      this.rtmpServer.enforceBan(ban);
+      
+      res.status(201).json({ success: true, ban });
+    } catch (error) {
+      console.error('Error creating ban:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Lift a ban
+  // @route   DELETE /api/admin/bans/:id
+  // @access  Private (Admin)
+  async deleteBan(req, res) {
+    try {
+      const ban = await Ban.findByIdAndDelete(req.params.id);
+      
+      if (!ban) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Ban not found' 
+        });
+      }
+      
+      res.json({ success: true, message: 'Ban lifted' });
+    } catch (error) {
+      console.error('Error deleting ban:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    List transcoding profiles
+  // @route   GET /api/admin/transcode-profiles
+  // @access  Private (Admin)
+  async getTranscodeProfiles(req, res) {
+    try {
+      const profiles = await TranscodeProfile.find().sort({ name: 1 });
+      
+      res.json({ success: true, profiles });
+    } catch (error) {
+      console.error('Error listing transcode profiles:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Create a transcoding profile
+  // @route   POST /api/admin/transcode-profiles
+  // @access  Private (Admin)
+  async createTranscodeProfile(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    try {
+      const profile = await TranscodeProfile.create({
+        ...this.pickProfileFields(req.body),
+        createdBy: req.user.id
+      });
+      await this.releaseProfileRoles(profile);
+      
+      res.status(201).json({ success: true, profile });
+    } catch (error) {
+      this.handleProfileError(res, error, 'Error creating transcode profile:');
+    }
+  }
+  
+  // @desc    Update a transcoding profile (applies from the next broadcast)
+  // @route   PUT /api/admin/transcode-profiles/:id
+  // @access  Private (Admin)
+  async updateTranscodeProfile(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    try {
+      const profile = await TranscodeProfile.findById(req.params.id);
+      
+      if (!profile) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Transcode profile not found' 
+        });
+      }
+      
+      profile.set(this.pickProfileFields(req.body));
+      await profile.save();
+      await this.releaseProfileRoles(profile);
+      
+      res.json({ success: true, profile });
+    } catch (error) {
+      this.handleProfileError(res, error, 'Error updating transcode profile:');
+    }
+  }
+  
+  // @desc    Delete a transcoding profile; its streamers fall back to their role's profile
+  // @route   DELETE /api/admin/transcode-profiles/:id
+  // @access  Private (Admin)
+  async deleteTranscodeProfile(req, res) {
+    try {
+      const profile = await TranscodeProfile.findByIdAndDelete(req.params.id);
+      
+      if (!profile) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Transcode profile not found' 
+        });
+      }
+      
+      await User.updateMany({ transcodeProfile: profile._id }, { $unset: { transcodeProfile: 1 } });
+      
+      res.json({ success: true, message: 'Transcode profile deleted' });
+    } catch (error) {
+      console.error('Error deleting transcode profile:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Assign a transcoding profile to a streamer (`profileId: null` clears it)
+  // @route   PUT /api/admin/users/:id/transcode-profile
+  // @access  Private (Admin)
+  async assignTranscodeProfile(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    try {
+      const { profileId } = req.body;
+      
+      if (profileId && !(await TranscodeProfile.exists({ _id: profileId }))) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Transcode profile not found' 
+        });
+      }
+      
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        profileId ? { transcodeProfile: profileId } : { $unset: { transcodeProfile: 1 } },
+        { new: true }
+      ).select('username role transcodeProfile');
+      
+      if (!user) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'User not found' 
+        });
+      }
+      
+      res.json({ success: true, user });
+    } catch (error) {
+      console.error('Error assigning transcode profile:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Override a user's retention rules and storage quota (`null`
+  //          falls back to their role's default)
+  // @route   PUT /api/admin/users/:id/retention
+  // @access  Private (Admin)
+  async setUserRetention(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    try {
+      const set = {};
+      const unset = {};
+      const fields = {
+        maxAgeDays: 'retention.maxAgeDays',
+        keepLast: 'retention.keepLast',
+        storageQuota: 'storageQuota'
+      };
+      
+      for (const [field, path] of Object.entries(fields)) {
+        if (req.body[field] === null) {
+          unset[path] = 1;
+        } else if (req.body[field] !== undefined) {
+          set[path] = req.body[field];
+        }
+      }
+      
+      const update = {
+        ...(Object.keys(set).length > 0 && { $set: set }),
+        ...(Object.keys(unset).length > 0 && { $unset: unset })
+      };
+      const user = await User.findByIdAndUpdate(req.params.id, update, { new: true })
+        .select('username role retention storageQuota');
+      
+      if (!user) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'User not found' 
+        });
+      }
+      
+      res.json({ 
+        success: true, 
+        user, 
+        policy: retentionService.getPolicy(user), 
+        usage: await retentionService.getUsage(user._id) 
+      });
+    } catch (error) {
+      console.error('Error setting user retention:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Apply retention rules and quotas now; `dryRun: true` only lists
+  //          the recordings that would be removed
+  // @route   POST /api/admin/retention/run
+  // @access  Private (Admin)
+  async runRetention(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    try {
+      const result = await retentionService.run({ dryRun: !!req.body.dryRun });
+      
+      if (!result) {
+        return res.status(409).json({ 
+          success: false, 
+          message: 'A retention run is already in progress' 
+        });
+      }
+      
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error running retention:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    List media jobs, newest first (`?status=`, `?type=`), with
+  //          counts per status
+  // @route   GET /api/admin/jobs
+  // @access  Private (Admin)
+  async getJobs(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const query = {};
+      if (req.query.status) query.status = req.query.status;
+      if (req.query.type) query.type = req.query.type;
+      
+      const [total, jobs, counts] = await Promise.all([
+        Job.countDocuments(query),
+        Job.find(query)
+          .select('-logs')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+      ]);
+      
+      res.json({ 
+        success: true, 
+        total, 
+        page, 
+        totalPages: Math.ceil(total / limit), 
+        counts: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])), 
+        jobs 
+      });
+    } catch (error) {
+      console.error('Error listing jobs:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Get a media job with its logs
+  // @route   GET /api/admin/jobs/:id
+  // @access  Private (Admin)
+  async getJob(req, res) {
+    try {
+      const job = await Job.findById(req.params.id);
+      
+      if (!job) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Job not found' 
+        });
+      }
+      
+      res.json({ success: true, job });
+    } catch (error) {
+      console.error('Error getting job:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Re-run a failed or cancelled job from its first attempt
+  // @route   POST /api/admin/jobs/:id/retry
+  // @access  Private (Admin)
+  async retryJob(req, res) {
+    try {
+      if (!(await Job.exists({ _id: req.params.id }))) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Job not found' 
+        });
+      }
+      
+      const job = await jobQueue.retry(req.params.id);
+      if (!job) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Only failed or cancelled jobs can be re-run' 
+        });
+      }
+      
+      res.json({ success: true, job });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      console.error('Error retrying job:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Cancel a queued or running job
+  // @route   POST /api/admin/jobs/:id/cancel
+  // @access  Private (Admin)
+  async cancelJob(req, res) {
+    try {
+      if (!(await Job.exists({ _id: req.params.id }))) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Job not found' 
+        });
+      }
+      
+      const job = await jobQueue.cancel(req.params.id);
+      if (!job) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Job has already finished' 
+        });
+      }
+      
+      res.json({ success: true, job });
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // Profile fields an admin may set
+  pickProfileFields(body) {
+    const fields = ['name', 'description', 'videoCodec', 'renditions', 'gopSeconds', 'audioBitrate', 'hls', 'dash', 'roles'];
+    const values = {};
+    
+    for (const field of fields) {
+      if (body[field] !== undefined) {
+        values[field] = body[field];
+      }
+    }
+    
+    return values;
+  }
+  
+  // A role uses a single profile, so taking a role moves it off any other profile
+  releaseProfileRoles(profile) {
+    if (profile.roles.length === 0) {
+      return Promise.resolve();
+    }
+    
+    return TranscodeProfile.updateMany(
+      { _id: { $ne: profile._id }, roles: { $in: profile.roles } },
+      { $pullAll: { roles: profile.roles } }
+    );
+  }
+  
+  handleProfileError(res, error, logMessage) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A transcode profile with that name already exists' });
+    }
+    console.error(logMessage, error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+}
+
+module.exports = AdminController;
@@ -0,0 +1,232 @@
+const { validationResult } = require('express-validator');
+const Clip = require('../models/Clip');
+const Stream = require('../models/Stream');
+const storageService = require('../services/storageService');
+
+class ClipController {
+  constructor(rtmpServer) {
+    this.rtmpServer = rtmpServer;
+  }
+
+  // Find a clip the requesting user may watch; sends a 404 and returns null
+  // when there isn't one
+  async findViewableClip(req, res) {
+    const clip = await Clip.findById(req.params.id);
+
+    if (!clip || !(await clip.canBeViewedBy(req.user))) {
+      res.status(404).json({
+        success: false,
+        message: 'Clip not found'
+      });
+      return null;
+    }
+
+    return clip;
+  }
+
+  // @desc    Clip the last N seconds of a live stream or a range of a recording
+  // @route   POST /api/clips
+  // @access  Private
+  async createClip(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const { streamId, recordingId, start, end, duration, title } = req.body;
+
+      const clip = await this.rtmpServer.clipService.createClip({
+        user: req.user,
+        ip: req.ip,
+        streamId,
+        recordingId,
+        start,
+        end,
+        duration,
+        title
+      });
+
+      // Rendering continues in the background; `clip-ready` follows on the socket
+      res.status(202).json({ success: true, clip });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      console.error('Error creating clip:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // @desc    List clips of a stream (`?stream=`) or by a creator (`?creator=`)
+  // @route   GET /api/clips
+  // @access  Public
+  async getClips(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const filter = {};
+
+      if (req.query.stream) {
+        const stream = await Stream.findById(req.query.stream);
+        if (!stream || !(await stream.canBeViewedBy(req.user))) {
+          return res.status(404).json({
+            success: false,
+            message: 'Stream not found'
+          });
+        }
+        filter.stream = stream._id;
+      }
+      if (req.query.creator) {
+        filter.creator = req.query.creator;
+      }
+
+      const query = { $and: [filter, await Clip.visibleTo(req.user)] };
+      const total = await Clip.countDocuments(query);
+      const clips = await Clip.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('creator', 'username profilePicture');
+
+      res.json({
+        success: true,
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+        clips
+      });
+    } catch (error) {
+      console.error('Error getting clips:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // @desc    Get a clip (shareable: anyone who can watch the source stream)
+  // @route   GET /api/clips/:id
+  // @access  Public
+  async getClip(req, res) {
+    try {
+      const clip = await this.findViewableClip(req, res);
+      if (!clip) return;
+
+      await clip.populate([
+        { path: 'creator', select: 'username profilePicture' },
+        { path: 'stream', select: 'title user' }
+      ]);
+
+      res.json({ success: true, clip });
+    } catch (error) {
+      console.error('Error getting clip:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // @desc    Clip video (MP4, `?download=true` to save it)
+  // @route   GET /api/clips/:id/video.mp4
+  // @access  Public
+  async getClipVideo(req, res) {
+    try {
+      const clip = await this.findViewableClip(req, res);
+      if (!clip) return;
+
+      await storageService.sendFile(res, clip.storage, `clips/${clip._id}.mp4`, {
+        filename: req.query.download === 'true' ? `${clip.title || clip._id}.mp4` : undefined
+      });
+    } catch (error) {
+      console.error('Error getting clip video:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // @desc    Clip thumbnail
+  // @route   GET /api/clips/:id/thumbnail.jpg
+  // @access  Public
+  async getClipThumbnail(req, res) {
+    try {
+      const clip = await this.findViewableClip(req, res);
+      if (!clip) return;
+
+      await storageService.sendFile(res, clip.storage, `clips/${clip._id}.jpg`);
+    } catch (error) {
+      console.error('Error getting clip thumbnail:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // @desc    Rename a clip
+  // @route   PUT /api/clips/:id
+  // @access  Private (Creator/Streamer/Admin)
+  async updateClip(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const clip = await Clip.findById(req.params.id);
+
+      if (!clip || !clip.isManageableBy(req.user)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Clip not found'
+        });
+      }
+
+      clip.title = req.body.title;
+      await clip.save();
+
+      res.json({ success: true, clip });
+    } catch (error) {
+      console.error('Error updating clip:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // @desc    Delete a clip
+  // @route   DELETE /api/clips/:id
+  // @access  Private (Creator/Streamer/Admin)
+  async deleteClip(req, res) {
+    try {
+      const clip = await Clip.findById(req.params.id);
+
+      if (!clip || !clip.isManageableBy(req.user)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Clip not found'
+        });
+      }
+
+      if (clip.status === 'processing') {
+        return res.status(400).json({
+          success: false,
+          message: 'Clip is still being rendered'
+        });
+      }
+
+      await this.rtmpServer.clipService.deleteClipFiles(clip);
+      await clip.deleteOne();
+
+      res.json({ success: true, message: 'Clip deleted' });
+    } catch (error) {
+      console.error('Error deleting clip:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+}
+
+module.exports = ClipController;
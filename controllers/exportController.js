@@ -0,0 +1,163 @@
+const path = require('path');
+const { validationResult } = require('express-validator');
+const Export = require('../models/Export');
+const Recording = require('../models/Recording');
+const storageService = require('../services/storageService');
+const streamTokenService = require('../services/streamTokenService');
+
+class ExportController {
+  constructor(rtmpServer) {
+    this.rtmpServer = rtmpServer;
+  }
+
+  // Find an export belonging to the requesting user (any, for admins);
+  // sends a 404 and returns null when there isn't one
+  async findOwnExport(req, res) {
+    const exp = await Export.findById(req.params.id);
+
+    if (!exp || (exp.user.toString() !== req.user._id.toString() && req.user.role !== 'admin')) {
+      res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+      return null;
+    }
+
+    return exp;
+  }
+
+  // @desc    Export presets a recording can be converted to
+  // @route   GET /api/exports/presets
+  // @access  Public
+  getPresets(req, res) {
+    res.json({ success: true, presets: this.rtmpServer.exportService.getPresets() });
+  }
+
+  // @desc    Convert a recording to a preset (MP3/AAC audio, 720p, vertical
+  //          9:16, WebM); `export-ready` follows on the owner's sockets
+  // @route   POST /api/recordings/:id/exports
+  // @access  Private (Owner/Admin)
+  async createExport(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const { exportService } = this.rtmpServer;
+      const exp = await exportService.createExport({
+        user: req.user,
+        recordingId: req.params.id,
+        preset: req.body.preset
+      });
+      const [described] = await exportService.describe([exp]);
+
+      // Converting continues in the background; an earlier export of the
+      // same preset may already be ready
+      res.status(exp.status === 'ready' ? 200 : 202).json({ success: true, export: described });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      console.error('Error creating export:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // @desc    List a recording's exports with their progress
+  // @route   GET /api/recordings/:id/exports
+  // @access  Private (Owner/Admin)
+  async getRecordingExports(req, res) {
+    try {
+      const recording = await Recording.findById(req.params.id);
+
+      if (!recording || !recording.isManageableBy(req.user)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recording not found'
+        });
+      }
+
+      const exports = await Export.find({ recording: recording._id }).sort({ createdAt: -1 });
+
+      res.json({ success: true, exports: await this.rtmpServer.exportService.describe(exports) });
+    } catch (error) {
+      console.error('Error getting exports:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // @desc    Get an export: its progress, or a fresh download link once ready
+  // @route   GET /api/exports/:id
+  // @access  Private (Owner/Admin)
+  async getExport(req, res) {
+    try {
+      const exp = await this.findOwnExport(req, res);
+      if (!exp) return;
+
+      const [described] = await this.rtmpServer.exportService.describe([exp]);
+      res.json({ success: true, export: described });
+    } catch (error) {
+      console.error('Error getting export:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // @desc    Download an export with the signed link from `GET /api/exports/:id`
+  // @route   GET /api/exports/:id/download?token=
+  // @access  Public (valid download token)
+  async downloadExport(req, res) {
+    try {
+      try {
+        streamTokenService.verify(req.query.token, { exportId: req.params.id, action: 'download' });
+      } catch (error) {
+        return res.status(403).json({ success: false, message: error.message });
+      }
+
+      const exp = await Export.findById(req.params.id).populate('recording', 'title');
+      if (!exp || exp.status !== 'ready') {
+        return res.status(404).json({
+          success: false,
+          message: 'Export not found'
+        });
+      }
+
+      const title = exp.recording && exp.recording.title ? exp.recording.title : exp._id;
+      await storageService.sendFile(res, exp.storage, exp.key, {
+        filename: `${title} (${exp.preset})${path.extname(exp.key)}`
+      });
+    } catch (error) {
+      console.error('Error downloading export:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // @desc    Delete an export
+  // @route   DELETE /api/exports/:id
+  // @access  Private (Owner/Admin)
+  async deleteExport(req, res) {
+    try {
+      const exp = await this.findOwnExport(req, res);
+      if (!exp) return;
+
+      if (exp.status === 'processing') {
+        return res.status(400).json({
+          success: false,
+          message: 'Export is still converting'
+        });
+      }
+
+      await this.rtmpServer.exportService.deleteExport(exp);
+
+      res.json({ success: true, message: 'Export deleted' });
+    } catch (error) {
+      console.error('Error deleting export:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+}
+
+module.exports = ExportController;
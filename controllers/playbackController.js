@@ -0,0 +1,415 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const Recording = require('../models/Recording');
+const Ban = require('../models/Ban');
+const storageService = require('../services/storageService');
+const streamTokenService = require('../services/streamTokenService');
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4'
+};
+
+// Rendition directories and the media files the gateway will serve from them
+const RENDITION_NAME = /^[a-z0-9_-]+$/i;
+const RENDITION_FILE = /^(?:index\.m3u8|init\.mp4|seg_\d+\.(?:ts|m4s)|part_(\d+)\.m4s)$/;
+const ROOT_FILE = /^(?:index\.m3u8|index\.mpd|(?:init|chunk)-stream\d+(?:-\d+)?\.m4s)$/;
+const VOD_FILE = /^(?:index\.m3u8|init\.mp4|seg_\d+\.(?:ts|m4s))$/;
+
+// How long a viewer's ban lookup is reused; players come back for a
+// playlist or segment every few seconds
+const BAN_CHECK_TTL = 10 * 1000;
+
+// Serves live HLS/DASH under the stream id. Private streams need a signed
+// watch token, which is carried into every playlist and manifest URL so
+// players keep presenting it for renditions, parts and segments.
+// Finished recordings are served the same way under /api/vod/<recording-id>.
+class PlaybackController {
+  constructor(rtmpServer) {
+    this.rtmpServer = rtmpServer;
+    this.banChecks = new Map(); // "<user id>|<ip>" -> { ban, checkedAt }
+  }
+  
+  // Refuse play-banned viewers, by account when a token or sign-in names
+  // one and by IP. Sends the error response and returns false when banned.
+  async checkBan(req, res, userId) {
+    const cacheKey = `${userId || ''}|${req.ip}`;
+    const now = Date.now();
+    let check = this.banChecks.get(cacheKey);
+    
+    if (!check || now - check.checkedAt > BAN_CHECK_TTL) {
+      check = { ban: await Ban.findActive({ userId, ip: req.ip, action: 'play' }), checkedAt: now };
+      if (this.banChecks.size >= 1000) {
+        for (const [key, entry] of this.banChecks) {
+          if (now - entry.checkedAt > BAN_CHECK_TTL) this.banChecks.delete(key);
+        }
+      }
+      this.banChecks.set(cacheKey, check);
+    }
+    
+    if (check.ban) {
+      res.status(403).json({ 
+        success: false, 
+        message: `Playback is banned${check.ban.reason ? `: ${check.ban.reason}` : ''}` 
+      });
+      return false;
+    }
+    return true;
+  }
+  
+  // Resolve the live broadcast for a request and check the viewer may watch
+  // it. Sends the error response and returns null when they can't.
+  async authorize(req, res) {
+    const session = this.rtmpServer.getPlaybackSession(req.params.streamId);
+    
+    if (!session) {
+      res.status(404).json({ 
+        success: false, 
+        message: 'Stream is not live' 
+      });
+      return null;
+    }
+    
+    const { token } = req.query;
+    let payload = null;
+    
+    if (session.isPrivate || token) {
+      try {
+        payload = streamTokenService.verify(token, { streamId: session.streamId, action: 'watch' });
+      } catch (error) {
+        res.status(session.isPrivate && !token ? 401 : 403).json({ 
+          success: false, 
+          message: error.message 
+        });
+        return null;
+      }
+    }
+    
+    if (!(await this.checkBan(req, res, payload && payload.sub))) {
+      return null;
+    }
+    
+    return { session, token };
+  }
+  
+  // Resolve a recording for a VOD request and check the viewer may watch it,
+  // either with a signed VOD token or as a signed-in user. Sends the error
+  // response and returns null when they can't.
+  async authorizeRecording(req, res) {
+    const recording = await Recording.findById(req.params.recordingId);
+    const { token } = req.query;
+    
+    if (!recording) {
+      res.status(404).json({ 
+        success: false, 
+        message: 'Recording not found' 
+      });
+      return null;
+    }
+    
+    let payload = null;
+    if (token) {
+      try {
+        payload = streamTokenService.verify(token, { recordingId: recording._id, action: 'vod' });
+      } catch (error) {
+        res.status(403).json({ 
+          success: false, 
+          message: error.message 
+        });
+        return null;
+      }
+    } else if (!(await recording.canBeViewedBy(req.user))) {
+      res.status(req.user ? 404 : 401).json({ 
+        success: false, 
+        message: req.user ? 'Recording not found' : 'A VOD token is required for this recording' 
+      });
+      return null;
+    }
+    
+    // Packages and the MP4 are only complete once post-processing is done
+    if (recording.status !== 'ready') {
+      res.status(409).json({ 
+        success: false, 
+        message: 'Recording is still being processed' 
+      });
+      return null;
+    }
+    
+    const viewerId = payload ? payload.sub : req.user && req.user._id;
+    if (!(await this.checkBan(req, res, viewerId))) {
+      return null;
+    }
+    
+    return { recording, token };
+  }
+  
+  // Append the viewer's token to a playlist or manifest URI
+  withToken(uri, token) {
+    if (!token) return uri;
+    return `${uri}${uri.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+  }
+  
+  // Carry the token into every URI of an HLS playlist
+  rewritePlaylist(playlist, token) {
+    if (!token) return playlist;
+    
+    return playlist
+      .split('\n')
+      .map((line) => {
+        if (line.startsWith('#')) {
+          return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${this.withToken(uri, token)}"`);
+        }
+        return line.trim() ? this.withToken(line.trim(), token) : line;
+      })
+      .join('\n');
+  }
+  
+  // Point every URI in a playlist at a signed URL from `sign`
+  async signPlaylist(playlist, sign) {
+    const lines = await Promise.all(playlist.split('\n').map(async (line) => {
+      if (line.startsWith('#')) {
+        const match = line.match(/URI="([^"]+)"/);
+        return match ? line.replace(match[0], `URI="${await sign(match[1])}"`) : line;
+      }
+      return line.trim() ? sign(line.trim()) : line;
+    }));
+    return lines.join('\n');
+  }
+  
+  // Carry the token into the segment templates of a DASH manifest
+  rewriteManifest(manifest, token) {
+    if (!token) return manifest;
+    
+    return manifest.replace(
+      /\b(media|initialization)="([^"]+)"/g,
+      (match, attribute, uri) => `${attribute}="${this.withToken(uri, token)}"`
+    );
+  }
+  
+  // Playlists are rewritten per viewer; media files are streamed as-is
+  async sendFile(res, filePath, token) {
+    const extension = path.extname(filePath);
+    
+    if (extension === '.m3u8' || extension === '.mpd') {
+      const body = await fs.promises.readFile(filePath, 'utf8');
+      return res
+        .set('Cache-Control', 'no-cache')
+        .type(CONTENT_TYPES[extension])
+        .send(extension === '.m3u8' ? this.rewritePlaylist(body, token) : this.rewriteManifest(body, token));
+    }
+    
+    res.type(CONTENT_TYPES[extension] || 'application/octet-stream');
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ success: false, message: 'File not found' });
+      }
+    });
+  }
+  
+  // @desc    Master playlist, DASH manifest and DASH segments
+  // @route   GET /api/playback/:streamId/:file
+  // @access  Public (signed watch token for private streams)
+  async getRootFile(req, res) {
+    try {
+      const playback = await this.authorize(req, res);
+      if (!playback) return;
+      
+      if (!ROOT_FILE.test(req.params.file)) {
+        return res.status(404).json({ success: false, message: 'File not found' });
+      }
+      
+      await this.sendFile(res, path.join(playback.session.outputDir, req.params.file), playback.token);
+    } catch (error) {
+      this.handleError(res, error);
+    }
+  }
+  
+  // @desc    Rendition playlists and segments
+  // @route   GET /api/playback/:streamId/:rendition/:file
+  // @access  Public (signed watch token for private streams)
+  async getRenditionFile(req, res) {
+    try {
+      const playback = await this.authorize(req, res);
+      if (!playback) return;
+      
+      const { rendition, file } = req.params;
+      
+      if (!RENDITION_NAME.test(rendition) || !RENDITION_FILE.test(file)) {
+        return res.status(404).json({ success: false, message: 'File not found' });
+      }
+      
+      await this.sendFile(res, path.join(playback.session.outputDir, rendition, file), playback.token);
+    } catch (error) {
+      this.handleError(res, error);
+    }
+  }
+  
+  // @desc    LL-HLS master playlist of a low-latency stream
+  // @route   GET /api/playback/:streamId/ll/index.m3u8
+  // @access  Public (signed watch token for private streams)
+  async getLowLatencyMasterPlaylist(req, res) {
+    try {
+      const playback = await this.authorize(req, res);
+      if (!playback) return;
+      
+      const playlist = this.rtmpServer.getLowLatencyMasterPlaylist(playback.session.streamKey);
+      
+      if (!playlist) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Stream is not live in low-latency mode' 
+        });
+      }
+      
+      res
+        .set('Cache-Control', 'no-cache')
+        .type(CONTENT_TYPES['.m3u8'])
+        .send(this.rewritePlaylist(playlist, playback.token));
+    } catch (error) {
+      this.handleError(res, error);
+    }
+  }
+  
+  // @desc    LL-HLS media playlist (with blocking reload), init segment, parts and segments
+  // @route   GET /api/playback/:streamId/ll/:rendition/:file
+  // @access  Public (signed watch token for private streams)
+  async getLowLatencyFile(req, res) {
+    try {
+      const playback = await this.authorize(req, res);
+      if (!playback) return;
+      
+      const { rendition, file } = req.params;
+      const packager = this.rtmpServer.getLowLatencyPackager(playback.session.streamKey, rendition);
+      const match = RENDITION_FILE.exec(file);
+      
+      if (!packager || !match) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'File not found' 
+        });
+      }
+      
+      const timeout = config.llHls.blockTimeout * packager.getTargetDuration() * 1000;
+      
+      if (file === 'index.m3u8') {
+        // Blocking playlist reload (_HLS_msn, optionally _HLS_part)
+        if (req.query._HLS_msn !== undefined) {
+          const msn = parseInt(req.query._HLS_msn, 10);
+          const part = req.query._HLS_part !== undefined ? parseInt(req.query._HLS_part, 10) : undefined;
+          const lastMsn = packager.getLastMsn();
+          
+          if (Number.isNaN(msn) || Number.isNaN(part) || (lastMsn !== null && msn > lastMsn + 2)) {
+            return res.status(400).json({ 
+              success: false, 
+              message: 'Invalid _HLS_msn or _HLS_part' 
+            });
+          }
+          
+          if (!(await packager.waitForPart(msn, part, timeout))) {
+            return res.status(503).json({ 
+              success: false, 
+              message: 'Requested part is not available yet' 
+            });
+          }
+        }
+        
+        const playlist = packager.renderPlaylist();
+        if (!playlist) {
+          return res.status(404).json({ 
+            success: false, 
+            message: 'Playlist is not ready yet' 
+          });
+        }
+        
+        return res
+          .set('Cache-Control', 'no-cache')
+          .type(CONTENT_TYPES['.m3u8'])
+          .send(this.rewritePlaylist(playlist, playback.token));
+      }
+      
+      // Hold a request for the preload-hinted part until it has been written
+      if (match[1] && !(await packager.waitForFile(parseInt(match[1], 10), timeout))) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'File not found' 
+        });
+      }
+      
+      await this.sendFile(res, path.join(packager.dir, file), playback.token);
+    } catch (error) {
+      this.handleError(res, error);
+    }
+  }
+  
+  // @desc    VOD HLS playlist and segments of a recording
+  // @route   GET /api/vod/:recordingId/:file
+  // @access  Public (signed VOD token or sign-in for private/hidden recordings)
+  async getVodFile(req, res) {
+    try {
+      const playback = await this.authorizeRecording(req, res);
+      if (!playback) return;
+      
+      if (!VOD_FILE.test(req.params.file)) {
+        return res.status(404).json({ success: false, message: 'File not found' });
+      }
+      
+      const recordingId = playback.recording._id.toString();
+      const storage = storageService.driver(playback.recording.storage);
+      const key = `vod/${recordingId}/${req.params.file}`;
+      const localPath = storage.getLocalPath(key);
+      
+      if (localPath) {
+        return await this.sendFile(res, localPath, playback.token);
+      }
+      
+      // Remote packages: the player fetches segments straight from storage,
+      // so the playlist lists signed URLs rather than carrying the token
+      if (req.params.file === 'index.m3u8') {
+        const playlist = (await storage.read(key)).toString('utf8');
+        return res
+          .set('Cache-Control', 'no-cache')
+          .type(CONTENT_TYPES['.m3u8'])
+          .send(await this.signPlaylist(playlist, uri => storage.getSignedUrl(`vod/${recordingId}/${uri}`)));
+      }
+      
+      res.redirect(await storage.getSignedUrl(key));
+    } catch (error) {
+      this.handleError(res, error);
+    }
+  }
+  
+  // @desc    Recording as a faststart MP4; range requests are honoured for
+  //          seeking, `?download=true` saves it as an attachment
+  // @route   GET /api/vod/:recordingId/video.mp4
+  // @access  Public (signed VOD token or sign-in for private/hidden recordings)
+  async getRecordingVideo(req, res) {
+    try {
+      const playback = await this.authorizeRecording(req, res);
+      if (!playback) return;
+      
+      const { recording } = playback;
+      
+      // Local files answer Range requests with 206 partial content; remote
+      // ones redirect to a signed URL the store serves ranges from
+      await storageService.sendFile(res, recording.storage, `videos/${recording.filename}`, {
+        filename: req.query.download === 'true' ? `${recording.title || recording._id}.mp4` : undefined
+      });
+    } catch (error) {
+      this.handleError(res, error);
+    }
+  }
+  
+  handleError(res, error) {
+    if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+    console.error('Error serving playback:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+}
+
+module.exports = PlaybackController;
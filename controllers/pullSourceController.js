@@ -0,0 +1,179 @@
+const { validationResult } = require('express-validator');
+const PullSource = require('../models/PullSource');
+const Stream = require('../models/Stream');
+
+class PullSourceController {
+  constructor(rtmpServer) {
+    this.rtmpServer = rtmpServer;
+  }
+  
+  // Find a pull source the requesting user may manage
+  findSource(req) {
+    const query = { _id: req.params.id };
+    if (req.user.role !== 'admin') query.user = req.user.id;
+    return PullSource.findOne(query);
+  }
+  
+  // Merge the runtime status into a source for responses
+  withStatus(source) {
+    return {
+      ...source.toObject(),
+      runtime: this.rtmpServer.getPullSourceStatus(source._id)
+    };
+  }
+  
+  // @desc    List the current user's pull sources
+  // @route   GET /api/pull-sources
+  // @access  Private (Streamer/Admin)
+  async getSources(req, res) {
+    try {
+      const sources = await PullSource.find({ user: req.user.id })
+        .populate('stream', 'title status')
+        .sort({ createdAt: -1 });
+      
+      res.json({ success: true, sources: sources.map(source => this.withStatus(source)) });
+    } catch (error) {
+      console.error('Error getting pull sources:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Register an external RTMP/HLS source against a stream
+  // @route   POST /api/pull-sources
+  // @access  Private (Streamer/Admin)
+  async createSource(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    try {
+      const { streamId, url, name } = req.body;
+      const stream = await Stream.findById(streamId);
+      
+      if (!stream) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Stream not found' 
+        });
+      }
+      
+      if (req.user.id !== stream.user.toString() && req.user.role !== 'admin') {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'Not authorized to add sources to this stream' 
+        });
+      }
+      
+      try {
+        await this.rtmpServer.pullIngestService.checkSourceUrl(url);
+      } catch (error) {
+        return res.status(error.status || 400).json({ 
+          success: false, 
+          message: error.message 
+        });
+      }
+      
+      const source = await PullSource.create({
+        user: stream.user,
+        stream: stream._id,
+        name,
+        url,
+        type: PullSource.detectType(url)
+      });
+      
+      res.status(201).json({ success: true, source });
+    } catch (error) {
+      console.error('Error creating pull source:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Start pulling a source into its stream
+  // @route   POST /api/pull-sources/:id/start
+  // @access  Private (Streamer/Admin)
+  async startSource(req, res) {
+    try {
+      const source = await this.findSource(req);
+      
+      if (!source) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Pull source not found' 
+        });
+      }
+      
+      const stream = await Stream.findById(source.stream);
+      if (!stream) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Stream not found' 
+        });
+      }
+      
+      this.rtmpServer.startPullSource(source, stream);
+      
+      res.json({ success: true, source: this.withStatus(source) });
+    } catch (error) {
+      console.error('Error starting pull source:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Stop pulling a source
+  // @route   POST /api/pull-sources/:id/stop
+  // @access  Private (Streamer/Admin)
+  async stopSource(req, res) {
+    try {
+      const source = await this.findSource(req);
+      
+      if (!source) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Pull source not found' 
+        });
+      }
+      
+      if (!this.rtmpServer.stopPullSource(source._id)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Pull source is not running' 
+        });
+      }
+      
+      res.json({ success: true, message: 'Pull source stopped' });
+    } catch (error) {
+      console.error('Error stopping pull source:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Delete a pull source, stopping it first
+  // @route   DELETE /api/pull-sources/:id
+  // @access  Private (Streamer/Admin)
+  async deleteSource(req, res) {
+    try {
+      const source = await this.findSource(req);
+      
+      if (!source) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Pull source not found' 
+        });
+      }
+      
+      this.rtmpServer.stopPullSource(source._id);
+      await source.deleteOne();
+      
+      res.json({ success: true, message: 'Pull source deleted' });
+    } catch (error) {
+      console.error('Error deleting pull source:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+}
+
+module.exports = PullSourceController;
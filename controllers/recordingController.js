@@ -0,0 +1,347 @@
+const { validationResult } = require('express-validator');
+const Recording = require('../models/Recording');
+const User = require('../models/User');
+const recordingService = require('../services/recordingService');
+const retentionService = require('../services/retentionService');
+const storageService = require('../services/storageService');
+
+// Find a recording the requesting user may rename, hide or delete
+const findManageableRecording = async (req, res) => {
+  const recording = await Recording.findById(req.params.id);
+
+  if (!recording || !recording.isManageableBy(req.user)) {
+    res.status(404).json({
+      success: false,
+      message: 'Recording not found'
+    });
+    return null;
+  }
+
+  return recording;
+};
+
+// @desc    List a user's recordings (the current user's by default). Owners
+//          and admins see every recording; others only ready, visible ones.
+// @route   GET /api/recordings
+// @access  Public
+exports.listRecordings = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const userId = req.query.user || (req.user && req.user.id);
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user is required'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const query = { user: userId };
+    const isOwner = req.user && (req.user.id === userId.toString() || req.user.role === 'admin');
+    if (!isOwner) {
+      query.status = 'ready';
+      query.hidden = false;
+
+      const follows = req.user && await User.exists({ _id: userId, followers: req.user._id });
+      if (!follows) query.isPrivate = false;
+    } else if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const total = await Recording.countDocuments(query);
+    const recordings = await Recording.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      recordings
+    });
+  } catch (error) {
+    console.error('List recordings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Recording storage used against the quota, the retention rules in
+//          force and the recordings they would remove next (`?user=<id>`
+//          for admins, defaults to your own)
+// @route   GET /api/recordings/usage
+// @access  Private
+exports.getStorageUsage = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const userId = req.user.role === 'admin' && req.query.user ? req.query.user : req.user.id;
+    const user = await User.findById(userId).select('username role retention storageQuota');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const plan = await retentionService.plan(user);
+
+    res.json({
+      success: true,
+      policy: plan.policy,
+      usage: plan.usage,
+      expiring: plan.remove
+    });
+  } catch (error) {
+    console.error('Get storage usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a recording
+// @route   GET /api/recordings/:id
+// @access  Public (owner/admin for hidden, unfinished or private recordings)
+exports.getRecording = async (req, res) => {
+  try {
+    const recording = await Recording.findById(req.params.id)
+      .populate('user', 'username profilePicture');
+
+    if (!recording || !(await recording.canBeViewedBy(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recording not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      recording
+    });
+  } catch (error) {
+    console.error('Get recording error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Thumbnail of a recording
+// @route   GET /api/recordings/:id/thumbnail.jpg
+// @access  Public (same rules as the recording)
+exports.getRecordingThumbnail = async (req, res) => {
+  try {
+    const recording = await Recording.findById(req.params.id);
+
+    if (!recording || !(await recording.canBeViewedBy(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recording not found'
+      });
+    }
+
+    // Set once the thumbnail job has stored it
+    if (!recording.thumbnailUrl) {
+      return res.status(404).json({ success: false, message: 'No thumbnail yet' });
+    }
+
+    await storageService.sendFile(res, recording.storage, `thumbnails/${recording._id}.jpg`);
+  } catch (error) {
+    console.error('Get recording thumbnail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Find a ready recording the requesting user may watch, for its chapters
+const findChapteredRecording = async (req, res, select) => {
+  const query = Recording.findById(req.params.id);
+  const recording = await (select ? query.select(select) : query);
+
+  if (!recording || !(await recording.canBeViewedBy(req.user))) {
+    res.status(404).json({
+      success: false,
+      message: 'Recording not found'
+    });
+    return null;
+  }
+
+  // Chapters run to the end of the finished file
+  if (recording.status !== 'ready') {
+    res.status(400).json({
+      success: false,
+      message: 'Recording is still being processed'
+    });
+    return null;
+  }
+
+  return recording;
+};
+
+// @desc    Chapters of a recording (from highlights and the streamer's
+//          markers) with its chat and reaction activity over time
+// @route   GET /api/recordings/:id/chapters
+// @access  Public (same rules as the recording)
+exports.getRecordingChapters = async (req, res) => {
+  try {
+    const recording = await findChapteredRecording(req, res, '+activity');
+    if (!recording) return;
+
+    res.json({
+      success: true,
+      chapters: recordingService.getChapters(recording),
+      markers: recording.markers,
+      activity: recording.activity
+    });
+  } catch (error) {
+    console.error('Get recording chapters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Chapters of a recording as a WebVTT chapters track
+// @route   GET /api/recordings/:id/chapters.vtt
+// @access  Public (same rules as the recording)
+exports.getRecordingChaptersVtt = async (req, res) => {
+  try {
+    const recording = await findChapteredRecording(req, res);
+    if (!recording) return;
+
+    res
+      .type('text/vtt')
+      .send(recordingService.formatChaptersVtt(recordingService.getChapters(recording)));
+  } catch (error) {
+    console.error('Get recording chapters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Keyframe positions of a recording (seconds), for cutting clips
+//          and seeking on clean boundaries
+// @route   GET /api/recordings/:id/keyframes
+// @access  Public (same rules as the recording)
+exports.getRecordingKeyframes = async (req, res) => {
+  try {
+    const recording = await Recording.findById(req.params.id).select('+keyframes');
+
+    if (!recording || !(await recording.canBeViewedBy(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recording not found'
+      });
+    }
+
+    // Probed when the recording is finalised
+    if (!recording.media || !recording.media.probedAt) {
+      return res.status(404).json({ success: false, message: 'Recording has not been probed yet' });
+    }
+
+    res.json({
+      success: true,
+      duration: recording.duration,
+      keyframeCount: recording.media.keyframeCount,
+      keyframes: recording.keyframes
+    });
+  } catch (error) {
+    console.error('Get recording keyframes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Rename, hide or pin a recording
+// @route   PUT /api/recordings/:id
+// @access  Private (Owner/Admin)
+exports.updateRecording = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const recording = await findManageableRecording(req, res);
+    if (!recording) return;
+
+    if (req.body.title !== undefined) recording.title = req.body.title;
+    if (req.body.hidden !== undefined) recording.hidden = req.body.hidden;
+    if (req.body.pinned !== undefined) recording.pinned = req.body.pinned;
+    await recording.save();
+
+    res.json({
+      success: true,
+      recording
+    });
+  } catch (error) {
+    console.error('Update recording error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete a recording and its files
+// @route   DELETE /api/recordings/:id
+// @access  Private (Owner/Admin)
+exports.deleteRecording = async (req, res) => {
+  try {
+    const recording = await findManageableRecording(req, res);
+    if (!recording) return;
+
+    if (recording.status === 'recording' || recording.status === 'processing') {
+      return res.status(400).json({
+        success: false,
+        message: 'Recording is still in progress'
+      });
+    }
+
+    await recordingService.deleteRecording(recording);
+
+    res.json({
+      success: true,
+      message: 'Recording deleted'
+    });
+  } catch (error) {
+    console.error('Delete recording error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
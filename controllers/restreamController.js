@@ -0,0 +1,137 @@
+const { validationResult } = require('express-validator');
+const RestreamDestination = require('../models/RestreamDestination');
+const config = require('../config/config');
+
+class RestreamController {
+  constructor(rtmpServer) {
+    this.rtmpServer = rtmpServer;
+  }
+  
+  // @desc    List the current user's restream destinations
+  // @route   GET /api/restream/destinations
+  // @access  Private (Streamer/Admin)
+  async getDestinations(req, res) {
+    try {
+      const destinations = await RestreamDestination.find({ user: req.user.id })
+        .sort({ createdAt: 1 });
+      
+      res.json({ success: true, destinations });
+    } catch (error) {
+      console.error('Error getting restream destinations:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Save a new restream destination
+  // @route   POST /api/restream/destinations
+  // @access  Private (Streamer/Admin)
+  async createDestination(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    try {
+      const count = await RestreamDestination.countDocuments({ user: req.user.id });
+      if (count >= config.restream.maxDestinations) {
+        return res.status(400).json({
+          success: false,
+          message: `You can save at most ${config.restream.maxDestinations} restream destinations`
+        });
+      }
+      
+      const { name, url, streamKey, enabled } = req.body;
+      const destination = new RestreamDestination({
+        user: req.user.id,
+        name,
+        url,
+        enabled: enabled !== undefined ? enabled : true
+      });
+      destination.setStreamKey(streamKey);
+      await destination.save();
+      
+      // Join a broadcast that's already live
+      if (destination.enabled) {
+        this.rtmpServer.updateRestreamDestination(req.user.id, destination);
+      }
+      
+      res.status(201).json({ success: true, destination });
+    } catch (error) {
+      console.error('Error creating restream destination:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Update a destination; toggling `enabled` starts or stops its relay on a live broadcast
+  // @route   PUT /api/restream/destinations/:id
+  // @access  Private (Streamer/Admin)
+  async updateDestination(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    try {
+      const destination = await RestreamDestination.findOne({ _id: req.params.id, user: req.user.id })
+        .select('+encryptedStreamKey');
+      
+      if (!destination) {
+        return res.status(404).json({
+          success: false,
+          message: 'Restream destination not found'
+        });
+      }
+      
+      const { name, url, streamKey, enabled } = req.body;
+      const targetChanged = url !== undefined || streamKey !== undefined;
+      
+      if (name !== undefined) destination.name = name;
+      if (url !== undefined) destination.url = url;
+      if (streamKey !== undefined) destination.setStreamKey(streamKey);
+      if (enabled !== undefined) destination.enabled = enabled;
+      await destination.save();
+      
+      // Restart a live relay that now points somewhere else
+      if (targetChanged && destination.enabled) {
+        this.rtmpServer.updateRestreamDestination(req.user.id, { _id: destination._id, enabled: false });
+      }
+      this.rtmpServer.updateRestreamDestination(req.user.id, destination);
+      
+      res.json({ success: true, destination });
+    } catch (error) {
+      console.error('Error updating restream destination:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+  
+  // @desc    Delete a restream destination
+  // @route   DELETE /api/restream/destinations/:id
+  // @access  Private (Streamer/Admin)
+  async deleteDestination(req, res) {
+    try {
+      const destination = await RestreamDestination.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+      
+      if (!destination) {
+        return res.status(404).json({
+          success: false,
+          message: 'Restream destination not found'
+        });
+      }
+      
+      this.rtmpServer.updateRestreamDestination(req.user.id, { _id: destination._id, enabled: false });
+      
+      res.json({ success: true, message: 'Restream destination deleted' });
+    } catch (error) {
+      console.error('Error deleting restream destination:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+}
+
+module.exports = RestreamController;
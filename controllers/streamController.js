@@ -1,7 +1,9 @@
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
 const Stream = require('../models/Stream');
+const Recording = require('../models/Recording');
 const recordingService = require('../services/recordingService');
+const streamTokenService = require('../services/streamTokenService');
 
 class StreamController {
   constructor(rtmpServer) {
@@ -41,12 +43,138 @@ class StreamController {
     }
   }
 
+  // @desc    Get ingest health telemetry for a stream
+  // @route   GET /api/streams/:streamKey/health
+  // @access  Private (Owner/Admin)
+  async getStreamHealth(req, res) {
+    try {
+      const stream = await Stream.findOne({ streamKey: req.params.streamKey })
+        .select('user status')
+        .lean();
+      
+      if (!stream) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Stream not found' 
+        });
+      }
+      
+      if (req.user.id !== stream.user.toString() && req.user.role !== 'admin') {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'Not authorized to view this stream\'s health' 
+        });
+      }
+      
+      const health = this.rtmpServer.getStreamHealth(req.params.streamKey);
+      
+      res.json({ 
+        success: true, 
+        status: stream.status,
+        health 
+      });
+    } catch (error) {
+      console.error('Error getting stream health:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // @desc    Latest live thumbnail of a stream
+  // @route   GET /api/streams/:id/thumbnail.jpg
+  // @access  Public (signed watch token for private streams)
+  async getStreamThumbnail(req, res) {
+    try {
+      const stream = await Stream.findById(req.params.id).select('isPrivate').lean();
+      
+      if (!stream) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Stream not found' 
+        });
+      }
+      
+      if (stream.isPrivate) {
+        try {
+          streamTokenService.verify(req.query.token, { streamId: stream._id, action: 'watch' });
+        } catch (error) {
+          return res.status(403).json({ 
+            success: false, 
+            message: 'This is a private stream' 
+          });
+        }
+      }
+      
+      res.set('Cache-Control', 'no-cache');
+      res.sendFile(this.rtmpServer.thumbnailService.getThumbnailPath(stream._id), (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).json({ success: false, message: 'No thumbnail yet' });
+        }
+      });
+    } catch (error) {
+      console.error('Error getting stream thumbnail:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // @desc    Live state of a stream: transcode profile and renditions, and
+  //          for its owner, restream status
+  // @route   GET /api/streams/:id
+  // @access  Public (signed watch token for private streams)
+  async getStreamInfo(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    try {
+      const stream = await Stream.findById(req.params.id).select('user isPrivate streamKey').lean();
+      
+      if (!stream) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Stream not found' 
+        });
+      }
+      
+      // Same check as the playback gateway; the owner and admins get in
+      // without a token
+      const isOwner = req.user && (req.user.id === stream.user.toString() || req.user.role === 'admin');
+      if (stream.isPrivate && !isOwner) {
+        try {
+          streamTokenService.verify(req.query.token, { streamId: stream._id, action: 'watch' });
+        } catch (error) {
+          return res.status(403).json({ 
+            success: false, 
+            message: 'This is a private stream' 
+          });
+        }
+      }
+      
+      const streamInfo = await this.rtmpServer.getStreamInfo(stream.streamKey, req.user);
+      if (!streamInfo) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Stream not found' 
+        });
+      }
+      
+      res.json({ success: true, stream: streamInfo });
+    } catch (error) {
+      console.error('Error getting stream info:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
   // @desc    Get stream by ID
   // @route   GET /api/streams/:id
   // @access  Public
   async getStreamById(req, res) {
     try {
       const stream = await Stream.findById(req.params.id)
+        .select('-streamKey')
         .populate('user', 'username profilePicture followers')
         .lean();
       
@@ -90,6 +218,10 @@ class StreamController {
 
     try {
       const { title, description, isPrivate } = req.body;
+      const { lowLatency, dvrWindow } = this.rtmpServer.normalizeStreamSettings({
+        lowLatency: req.body.lowLatency,
+        dvrWindow: req.body.dvrWindow
+      });
       const userId = req.user.id;
       
       // Get user with stream key
@@ -101,10 +233,17 @@ class StreamController {
         });
       }
       
+      if (!user.streamKey) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Generate a stream key first' 
+        });
+      }
+      
       // Check if user is already streaming
       const activeStreams = this.rtmpServer.getActiveStreams();
       const isAlreadyStreaming = activeStreams.some(
-        stream => stream.userId === userId
+        stream => stream.userId.toString() === userId
       );
       
       if (isAlreadyStreaming) {
@@ -114,15 +253,21 @@ class StreamController {
         });
       }
       
-      // Create stream record in database
-      const stream = new Stream({
-        user: userId,
+      // A key has one stream record, reused by every broadcast on it
+      const settings = {
         title,
         description: description || '',
         isPrivate: !!isPrivate,
-        streamKey: user.streamKey,
+        lowLatency: !!lowLatency,
+        dvrWindow: dvrWindow || 0,
         status: 'starting'
-      });
+      };
+      let stream = await Stream.findOne({ streamKey: user.streamKey });
+      if (stream) {
+        stream.set(settings);
+      } else {
+        stream = new Stream({ ...settings, user: userId, streamKey: user.streamKey });
+      }
       
       await stream.save();
       
@@ -136,18 +281,78 @@ class StreamController {
           id: stream._id,
           title: stream.title,
           isPrivate: stream.isPrivate,
+          lowLatency: stream.lowLatency,
+          dvrWindow: stream.dvrWindow,
           streamKey: user.streamKey,
           rtmpUrl: `rtmp://${process.env.RTMP_SERVER || 'your-server-address'}/live/${user.streamKey}`
         }
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(err => err.message).join(', ')
+        });
+      }
       console.error('Error starting stream:', error);
       res.status(500).json({ success: false, message: 'Server error' });
     }
   }
 
+  // @desc    Update a stream's title, description, privacy, tags and
+  //          playback settings (`lowLatency`, `dvrWindow`); playback settings
+  //          apply from the next broadcast
+  // @route   PATCH /api/streams/:id
+  // @access  Private (Owner/Admin)
+  async updateStream(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    try {
+      const stream = await Stream.findById(req.params.id).select('user streamKey').lean();
+      
+      if (!stream) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Stream not found' 
+        });
+      }
+      
+      if (req.user.id !== stream.user.toString() && req.user.role !== 'admin') {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'Not authorized to update this stream' 
+        });
+      }
+      
+      const updated = await this.rtmpServer.updateStreamMetadata(stream.streamKey, req.body);
+      
+      res.json({ success: true, stream: updated });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(err => err.message).join(', ')
+        });
+      }
+      console.error('Error updating stream:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
   // @desc    End a stream
-  // @route   POST /api/streams/:id/end
+  // @route   DELETE /api/streams/:id/end
   // @access  Private (Streamer/Admin)
   async endStream(req, res) {
     try {
@@ -168,13 +373,15 @@ class StreamController {
         });
       }
       
-      // Update stream status
-      stream.status = 'ended';
-      stream.endedAt = new Date();
-      await stream.save();
-      
-      // The RTMPServer will handle the actual stream end event
-      // and clean up resources
+      // A live broadcast is ended by the RTMP server, which also drops the
+      // publisher and stops the recording
+      if (this.rtmpServer.streamSessions.has(stream.streamKey)) {
+        await this.rtmpServer.forceEndStream(stream.streamKey);
+      } else {
+        stream.status = 'ended';
+        stream.endedAt = new Date();
+        await stream.save();
+      }
       
       res.json({ 
         success: true, 
@@ -198,21 +405,21 @@ class StreamController {
       const query = { user: userId };
       
       // Get total count for pagination
-      const total = await Stream.countDocuments(query);
+      const total = await Recording.countDocuments(query);
       
-      // Get paginated streams
-      const streams = await Stream.find(query)
+      // Get paginated recordings
+      const recordings = await Recording.find(query)
         .sort({ createdAt: -1 })
         .skip((page - 1) * limit)
         .limit(limit)
-        .select('title description createdAt duration viewers thumbnailUrl isPrivate');
+        .populate('stream', 'title description viewers peakViewers');
       
       res.json({
         success: true,
         total,
         page,
         totalPages: Math.ceil(total / limit),
-        streams
+        recordings
       });
     } catch (error) {
       console.error('Error getting recordings:', error);
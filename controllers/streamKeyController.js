@@ -0,0 +1,244 @@
+const { validationResult } = require('express-validator');
+const StreamKey = require('../models/StreamKey');
+const Stream = require('../models/Stream');
+const User = require('../models/User');
+const config = require('../config/config');
+
+// Shape a key for API responses; the secret value is only included when
+// it has just been created or rotated
+const formatStreamKey = (streamKey, includeKey = false) => ({
+  id: streamKey._id,
+  label: streamKey.label,
+  status: streamKey.status,
+  keyPreview: streamKey.keyPreview,
+  ...(includeKey && {
+    key: streamKey.key,
+    rtmpUrl: `rtmp://${process.env.RTMP_SERVER || 'your-server-address'}/live/${streamKey.key}`
+  }),
+  lastUsedAt: streamKey.lastUsedAt,
+  lastUsedIp: streamKey.lastUsedIp,
+  revokedAt: streamKey.revokedAt,
+  rotatedFrom: streamKey.rotatedFrom,
+  rotatedTo: streamKey.rotatedTo,
+  createdAt: streamKey.createdAt
+});
+
+// Find a key owned by the requesting user
+const findOwnKey = (req) => StreamKey.findOne({ _id: req.params.id, user: req.user.id }).select('+key');
+
+// @desc    List the current user's stream keys
+// @route   GET /api/stream-keys
+// @access  Private (Streamer/Admin)
+exports.listStreamKeys = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const query = { user: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const streamKeys = await StreamKey.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      streamKeys: streamKeys.map(streamKey => formatStreamKey(streamKey))
+    });
+  } catch (error) {
+    console.error('List stream keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create a new labelled stream key
+// @route   POST /api/stream-keys
+// @access  Private (Streamer/Admin)
+exports.createStreamKey = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const activeCount = await StreamKey.countDocuments({ user: req.user.id, status: 'active' });
+    if (activeCount >= config.streamKeys.maxPerUser) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${config.streamKeys.maxPerUser} active stream keys`
+      });
+    }
+
+    const streamKey = await StreamKey.create({
+      user: req.user.id,
+      label: req.body.label || 'Default'
+    });
+
+    res.status(201).json({
+      success: true,
+      streamKey: formatStreamKey(streamKey, true)
+    });
+  } catch (error) {
+    console.error('Create stream key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Rename a stream key
+// @route   PUT /api/stream-keys/:id
+// @access  Private (Streamer/Admin)
+exports.updateStreamKey = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const streamKey = await findOwnKey(req);
+
+    if (!streamKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stream key not found'
+      });
+    }
+
+    streamKey.label = req.body.label;
+    await streamKey.save();
+
+    res.json({
+      success: true,
+      streamKey: formatStreamKey(streamKey)
+    });
+  } catch (error) {
+    console.error('Update stream key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Rotate a stream key: revoke it and issue a replacement with the same label
+// @route   POST /api/stream-keys/:id/rotate
+// @access  Private (Streamer/Admin)
+exports.rotateStreamKey = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const streamKey = await findOwnKey(req);
+
+    if (!streamKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stream key not found'
+      });
+    }
+
+    if (streamKey.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active stream keys can be rotated'
+      });
+    }
+
+    const replacement = await StreamKey.create({
+      user: streamKey.user,
+      label: streamKey.label,
+      rotatedFrom: streamKey._id
+    });
+
+    streamKey.rotatedTo = replacement._id;
+    await streamKey.revoke();
+
+    // The channel (title, privacy, latency and DVR settings) is keyed by its
+    // stream key, so it moves to the replacement rather than starting over
+    await Stream.updateOne(
+      { streamKey: streamKey.key },
+      { $set: { streamKey: replacement.key } }
+    );
+
+    // Keep the legacy single key on the user in step with its replacement
+    await User.updateOne(
+      { _id: streamKey.user, streamKey: streamKey.key },
+      { $set: { streamKey: replacement.key } }
+    );
+
+    res.json({
+      success: true,
+      streamKey: formatStreamKey(replacement, true),
+      revoked: formatStreamKey(streamKey)
+    });
+  } catch (error) {
+    console.error('Rotate stream key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Revoke a stream key; publishing with it is rejected from then on
+// @route   DELETE /api/stream-keys/:id
+// @access  Private (Streamer/Admin)
+exports.revokeStreamKey = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const streamKey = await findOwnKey(req);
+
+    if (!streamKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stream key not found'
+      });
+    }
+
+    if (streamKey.status === 'revoked') {
+      return res.status(400).json({
+        success: false,
+        message: 'Stream key is already revoked'
+      });
+    }
+
+    await streamKey.revoke();
+
+    res.json({
+      success: true,
+      streamKey: formatStreamKey(streamKey)
+    });
+  } catch (error) {
+    console.error('Revoke stream key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
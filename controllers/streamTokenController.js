@@ -0,0 +1,247 @@
+const { validationResult } = require('express-validator');
+const Stream = require('../models/Stream');
+const StreamKey = require('../models/StreamKey');
+const Ban = require('../models/Ban');
+const Recording = require('../models/Recording');
+const streamTokenService = require('../services/streamTokenService');
+
+const rtmpBaseUrl = () => `rtmp://${process.env.RTMP_SERVER || 'your-server-address'}/live`;
+
+// @desc    Mint a signed, expiring publish URL for one of the user's stream keys
+// @route   POST /api/stream-tokens/publish
+// @access  Private (Streamer/Admin)
+exports.createPublishToken = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { streamKeyId, ttl, singleUse } = req.body;
+
+    const query = { _id: streamKeyId, status: 'active' };
+    if (req.user.role !== 'admin') query.user = req.user.id;
+
+    const streamKey = await StreamKey.findOne(query).select('+key');
+
+    if (!streamKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active stream key not found'
+      });
+    }
+
+    const { token, expiresAt } = streamTokenService.sign({
+      streamKey: streamKey.key,
+      action: 'publish',
+      userId: req.user.id,
+      ttl,
+      singleUse: !!singleUse
+    });
+
+    res.status(201).json({
+      success: true,
+      token,
+      expiresAt,
+      singleUse: !!singleUse,
+      server: rtmpBaseUrl(),
+      streamName: `${streamKey.key}?token=${token}`,
+      publishUrl: `${rtmpBaseUrl()}/${streamKey.key}?token=${token}`
+    });
+  } catch (error) {
+    console.error('Create publish token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Mint a signed, expiring play URL for a stream the user may watch
+// @route   POST /api/stream-tokens/play
+// @access  Private
+exports.createPlayToken = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { streamId, ttl, singleUse } = req.body;
+
+    const stream = await Stream.findById(streamId);
+
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stream not found'
+      });
+    }
+
+    if (!(await stream.canBeViewedBy(req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this private stream'
+      });
+    }
+
+    const { token, expiresAt } = streamTokenService.sign({
+      streamKey: stream.streamKey,
+      action: 'play',
+      userId: req.user.id,
+      ttl,
+      singleUse: !!singleUse
+    });
+
+    res.status(201).json({
+      success: true,
+      token,
+      expiresAt,
+      singleUse: !!singleUse,
+      playUrl: `${rtmpBaseUrl()}/${stream.streamKey}?token=${token}`
+    });
+  } catch (error) {
+    console.error('Create play token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Mint a signed watch token for HTTP playback (HLS/DASH) of a stream
+// @route   POST /api/stream-tokens/watch
+// @access  Private
+exports.createWatchToken = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { streamId, ttl } = req.body;
+
+    const stream = await Stream.findById(streamId);
+
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stream not found'
+      });
+    }
+
+    if (!(await stream.canBeViewedBy(req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this private stream'
+      });
+    }
+
+    const ban = await Ban.findActive({ userId: req.user._id, ip: req.ip, action: 'play' });
+    if (ban) {
+      return res.status(403).json({
+        success: false,
+        message: `Playback is banned${ban.reason ? `: ${ban.reason}` : ''}`
+      });
+    }
+
+    // Scoped to the stream id, so the token never carries the stream key
+    const { token, expiresAt } = streamTokenService.sign({
+      streamId: stream._id,
+      action: 'watch',
+      userId: req.user.id,
+      ttl
+    });
+
+    const baseUrl = `/api/playback/${stream._id}`;
+    const query = `?token=${encodeURIComponent(token)}`;
+
+    res.status(201).json({
+      success: true,
+      token,
+      expiresAt,
+      hlsUrl: `${baseUrl}/index.m3u8${query}`,
+      llHlsUrl: `${baseUrl}/ll/index.m3u8${query}`,
+      dashUrl: `${baseUrl}/index.mpd${query}`
+    });
+  } catch (error) {
+    console.error('Create watch token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Mint a signed token for VOD playback of a recording
+// @route   POST /api/stream-tokens/vod
+// @access  Private
+exports.createVodToken = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { recordingId, ttl } = req.body;
+
+    const recording = await Recording.findById(recordingId);
+
+    if (!recording || !(await recording.canBeViewedBy(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recording not found'
+      });
+    }
+
+    if (recording.status !== 'ready') {
+      return res.status(400).json({
+        success: false,
+        message: 'Recording is still being processed'
+      });
+    }
+
+    const ban = await Ban.findActive({ userId: req.user._id, ip: req.ip, action: 'play' });
+    if (ban) {
+      return res.status(403).json({
+        success: false,
+        message: `Playback is banned${ban.reason ? `: ${ban.reason}` : ''}`
+      });
+    }
+
+    const { token, expiresAt } = streamTokenService.sign({
+      recordingId: recording._id,
+      action: 'vod',
+      userId: req.user.id,
+      ttl
+    });
+
+    const query = `?token=${encodeURIComponent(token)}`;
+
+    res.status(201).json({
+      success: true,
+      token,
+      expiresAt,
+      hlsUrl: `${recording.playbackUrl}${query}`,
+      videoUrl: `${recording.videoUrl}${query}`
+    });
+  } catch (error) {
+    console.error('Create VOD token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -46,6 +46,29 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Optional authentication - sets req.user when a valid token is sent, but
+// lets anonymous requests through for public resources
+exports.optionalAuth = async (req, res, next) => {
+  let token;
+  
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  } else if (req.cookies && req.cookies.token) {
+    token = req.cookies.token;
+  }
+
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, config.auth.secret);
+    req.user = await User.findById(decoded.id).select('-password');
+  } catch (error) {
+    req.user = null;
+  }
+  
+  next();
+};
+
 // Role-based authorization
 exports.authorize = (...roles) => {
   return (req, res, next) => {
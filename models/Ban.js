@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Strip the IPv4-mapped IPv6 prefix so bans match however the socket reports the address
+const normalizeIp = (ip) => (ip ? ip.replace(/^::ffff:/, '') : ip);
+
+const banSchema = new mongoose.Schema({
+  // Banned account (either user or ip is set)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  // Banned IP address
+  ip: {
+    type: String,
+    trim: true,
+    set: normalizeIp
+  },
+  
+  // What the ban blocks
+  actions: [{
+    type: String,
+    enum: ['publish', 'play']
+  }],
+  
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  
+  // Temporary bans expire; permanent bans have no expiry
+  expiresAt: Date,
+  
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+banSchema.index({ user: 1 });
+banSchema.index({ ip: 1 });
+
+// MongoDB removes temporary bans once they've expired
+banSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+banSchema.pre('validate', function(next) {
+  if (!this.user && !this.ip) {
+    return next(new Error('A ban needs a user or an IP address'));
+  }
+  next();
+});
+
+// Find an active ban blocking `action` for a user and/or IP
+banSchema.statics.findActive = function({ userId, ip, action }) {
+  const targets = [];
+  if (userId) targets.push({ user: userId });
+  if (ip) targets.push({ ip: normalizeIp(ip) });
+  
+  if (targets.length === 0) {
+    return Promise.resolve(null);
+  }
+  
+  return this.findOne({
+    $or: targets,
+    actions: action,
+    $and: [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }]
+  });
+};
+
+// Virtual for whether the ban is permanent
+banSchema.virtual('isPermanent').get(function() {
+  return !this.expiresAt;
+});
+
+const Ban = mongoose.model('Ban', banSchema);
+
+module.exports = Ban;
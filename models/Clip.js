@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const clipSchema = new mongoose.Schema({
+  // User who cut the clip
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Source stream and its broadcaster
+  stream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream',
+    required: true
+  },
+
+  streamer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Set when the clip was cut from a recording rather than the live stream
+  recording: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recording'
+  },
+
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  // Start within the recording (seconds); live clips cover the last `duration`
+  startOffset: Number,
+  duration: Number, // seconds
+
+  // Rendered file; server-side only
+  path: String,
+  size: Number, // bytes
+
+  status: {
+    type: String,
+    enum: ['processing', 'ready', 'failed'],
+    default: 'processing'
+  },
+
+  error: String,
+
+  // Storage driver holding the finished files (see storageService)
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    default: 'local'
+  },
+
+
+  // Privacy of the source stream when the clip was cut
+  isPrivate: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.path;
+      return ret;
+    }
+  }
+});
+
+clipSchema.index({ stream: 1, createdAt: -1 });
+clipSchema.index({ creator: 1, createdAt: -1 });
+
+clipSchema.virtual('videoUrl').get(function() {
+  return `/api/clips/${this._id}/video.mp4`;
+});
+
+clipSchema.virtual('thumbnailUrl').get(function() {
+  return `/api/clips/${this._id}/thumbnail.jpg`;
+});
+
+// Check whether a user may watch this clip. Clips follow their source
+// stream's privacy: private ones are limited to the broadcaster, admins and
+// the broadcaster's followers (plus whoever cut the clip).
+clipSchema.methods.canBeViewedBy = async function(user) {
+  if (user && this.isManageableBy(user)) return true;
+  if (this.status !== 'ready') return false;
+  if (!this.isPrivate) return true;
+  if (!user) return false;
+
+  const streamerId = this.streamer._id || this.streamer;
+  if (streamerId.toString() === user._id.toString()) return true;
+
+  const User = mongoose.model('User');
+  return !!(await User.exists({ _id: streamerId, followers: user._id }));
+};
+
+// Whether a user may rename or delete this clip: whoever cut it, the
+// broadcaster, or an admin
+clipSchema.methods.isManageableBy = function(user) {
+  if (!user) return false;
+
+  const userId = user._id.toString();
+  const creatorId = (this.creator._id || this.creator).toString();
+  const streamerId = (this.streamer._id || this.streamer).toString();
+  return userId === creatorId || userId === streamerId || user.role === 'admin';
+};
+
+// Query restricting clips to those `user` may see in listings
+clipSchema.statics.visibleTo = async function(user) {
+  const query = { status: 'ready' };
+  if (user && user.role === 'admin') return query;
+  if (!user) return { ...query, isPrivate: false };
+
+  const User = mongoose.model('User');
+  const followed = await User.find({ followers: user._id }).distinct('_id');
+
+  return {
+    $or: [
+      { ...query, isPrivate: false },
+      { ...query, streamer: { $in: [user._id, ...followed] } },
+      { creator: user._id }
+    ]
+  };
+};
+
+const Clip = mongoose.model('Clip', clipSchema);
+
+module.exports = Clip;
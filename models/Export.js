@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A recording converted to one of the export presets (audio-only, 720p,
+// vertical, WebM) for its owner to download
+const exportSchema = new mongoose.Schema({
+  recording: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recording',
+    required: true
+  },
+
+  // User who asked for it
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Key of exportService's PRESETS
+  preset: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['processing', 'ready', 'failed'],
+    default: 'processing'
+  },
+
+  error: String,
+
+  // Job doing the conversion, for its progress
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+
+  // Storage key of the converted file; server-side only
+  key: String,
+  size: Number, // bytes
+
+  // Storage driver holding the file (see storageService)
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    default: 'local'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.key;
+      return ret;
+    }
+  }
+});
+
+exportSchema.index({ recording: 1, preset: 1 });
+exportSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Export', exportSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// A unit of background media work (ffmpeg post-processing, renders) run by
+// the job queue's worker pool
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // At most one queued or running job per key, e.g. `recording.finalize:<id>`
+  key: String,
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+
+  // Earliest time the job may (re)start; pushed back between retries
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+
+  logs: [{
+    _id: false,
+    at: Date,
+    level: {
+      type: String,
+      enum: ['info', 'warn', 'error']
+    },
+    message: String
+  }],
+
+  // Latest failure, and what a completed job resolved with
+  error: String,
+  result: mongoose.Schema.Types.Mixed,
+
+  // Set when a running job is cancelled; its worker stops it at the next
+  // heartbeat
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  // Worker running the job and when it last checked in
+  lockedBy: String,
+  lockedAt: Date,
+
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+// At most one queued or running job per key, whichever node queues it
+jobSchema.index({ key: 1 }, {
+  unique: true,
+  partialFilterExpression: { key: { $type: 'string' }, status: { $in: ['queued', 'running'] } }
+});
+jobSchema.index({ type: 1, createdAt: -1 });
+
+// Completed jobs are purged after a while; failed ones stay for inspection
+jobSchema.index({ finishedAt: 1 }, {
+  expireAfterSeconds: config.jobs.retainCompleted,
+  partialFilterExpression: { status: 'completed' }
+});
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const pullSourceSchema = new mongoose.Schema({
+  // Owner of the source (the stream's owner)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  // Stream the source is published into
+  stream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream',
+    required: true
+  },
+  
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  
+  // External RTMP or HLS URL to pull from
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^(rtmps?|https?):\/\/\S+$/, 'Source URL must be an rtmp(s):// or http(s):// URL']
+  },
+  
+  type: {
+    type: String,
+    enum: ['rtmp', 'hls'],
+    required: true
+  },
+  
+  // Pull status
+  status: {
+    type: String,
+    enum: ['idle', 'connecting', 'live', 'retrying', 'failed', 'stopped'],
+    default: 'idle'
+  },
+  
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  
+  lastError: String,
+  lastStartedAt: Date,
+  lastStoppedAt: Date
+}, {
+  timestamps: true
+});
+
+pullSourceSchema.index({ user: 1 });
+pullSourceSchema.index({ stream: 1 });
+
+// Work out the source type from its URL
+pullSourceSchema.statics.detectType = function(url) {
+  return /^rtmps?:\/\//i.test(url) ? 'rtmp' : 'hls';
+};
+
+const PullSource = mongoose.model('PullSource', pullSourceSchema);
+
+module.exports = PullSource;
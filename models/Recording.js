@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+
+const recordingSchema = new mongoose.Schema({
+  // Owner of the recording (the broadcaster)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Stream the recording was made from
+  stream: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream'
+  },
+
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  // File on disk; server-side only
+  filename: {
+    type: String,
+    required: true
+  },
+
+  path: {
+    type: String,
+    required: true
+  },
+
+  // Media details, probed from the file once the recording is finalised
+  size: Number, // bytes
+  duration: Number, // seconds
+  videoCodec: String,
+  audioCodec: String,
+  width: Number,
+  height: Number,
+  media: {
+    container: String,
+    bitrate: Number, // bits/s, whole file
+    videoProfile: String,
+    frameRate: Number,
+    videoBitrate: Number, // bits/s
+    pixelFormat: String,
+    audioChannels: Number,
+    audioSampleRate: Number, // Hz
+    audioBitrate: Number, // bits/s
+    keyframeCount: Number,
+    keyframeInterval: Number, // average seconds between keyframes
+    maxKeyframeInterval: Number,
+    probedAt: Date
+  },
+
+  // Keyframe timestamps in seconds (clean cut and seek points); large, so
+  // only loaded when asked for
+  keyframes: {
+    type: [Number],
+    select: false
+  },
+
+  // Broadcast time less gaps; `durationMismatch` flags a file noticeably
+  // shorter or longer than that (see config.probe)
+  expectedDuration: Number,
+  durationMismatch: {
+    type: Boolean,
+    default: false
+  },
+  thumbnailUrl: String,
+
+  // Lifecycle: written while live, processed after the broadcast ends
+  status: {
+    type: String,
+    enum: ['recording', 'processing', 'ready', 'failed'],
+    default: 'recording'
+  },
+
+  error: String,
+
+  // Node capturing the recording and when it last checked in (see
+  // recordingService.recoverRecordings); server-side only
+  lockedBy: String,
+  lockedAt: Date,
+
+  // Storage driver holding the finished files (see storageService)
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    default: 'local'
+  },
+
+
+  // Stretches of the broadcast missing from the recording (publisher
+  // reconnects, recorder restarts). `offset` is where the gap falls in the
+  // recording, in seconds.
+  gaps: [{
+    _id: false,
+    startedAt: Date,
+    endedAt: Date,
+    offset: Number,
+    reason: {
+      type: String,
+      enum: ['reconnect', 'crash', 'input-ended']
+    }
+  }],
+
+  // Chapter points: highlights detected from chat and reaction spikes, and
+  // markers the streamer dropped while live. `offset` is in seconds into
+  // the recording.
+  markers: [{
+    kind: {
+      type: String,
+      enum: ['highlight', 'manual']
+    },
+    offset: Number,
+    title: String,
+    // Highlights: which activity spiked and how many times the usual rate
+    trigger: {
+      type: String,
+      enum: ['chat', 'reactions']
+    },
+    score: Number,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Chat messages and reactions per config.highlights.bucketSize seconds
+  // (buckets without any are left out); large, so only loaded when asked for
+  activity: {
+    type: [{
+      _id: false,
+      offset: Number,
+      chat: Number,
+      reactions: Number
+    }],
+    select: false
+  },
+
+  // Privacy of the broadcast when it was recorded
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+
+  // Hidden recordings are only listed to their owner
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+
+  // Pinned recordings are kept forever, whatever the retention rules
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  endedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // File locations are internal to the server
+    transform: (doc, ret) => {
+      delete ret.filename;
+      delete ret.path;
+      delete ret.lockedBy;
+      delete ret.lockedAt;
+      return ret;
+    }
+  }
+});
+
+recordingSchema.index({ user: 1, createdAt: -1 });
+recordingSchema.index({ stream: 1 });
+recordingSchema.index({ status: 1, lockedAt: 1 });
+
+// VOD HLS playlist and MP4 (range requests, `?download=true` to save it)
+// through the playback gateway
+recordingSchema.virtual('playbackUrl').get(function() {
+  return `/api/vod/${this._id}/index.m3u8`;
+});
+
+recordingSchema.virtual('videoUrl').get(function() {
+  return `/api/vod/${this._id}/video.mp4`;
+});
+
+// Check whether a user may watch this recording. Owners and admins can
+// always see it; anyone else only once it's ready and not hidden, and for
+// private broadcasts only the owner's followers.
+recordingSchema.methods.canBeViewedBy = async function(user) {
+  const ownerId = this.user._id || this.user;
+  if (user && (ownerId.toString() === user._id.toString() || user.role === 'admin')) {
+    return true;
+  }
+
+  if (this.status !== 'ready' || this.hidden) return false;
+  if (!this.isPrivate) return true;
+  if (!user) return false;
+
+  const User = mongoose.model('User');
+  return !!(await User.exists({ _id: ownerId, followers: user._id }));
+};
+
+// Whether a user may rename, hide or delete this recording
+recordingSchema.methods.isManageableBy = function(user) {
+  const ownerId = this.user._id || this.user;
+  return !!user && (ownerId.toString() === user._id.toString() || user.role === 'admin');
+};
+
+const Recording = mongoose.model('Recording', recordingSchema);
+
+module.exports = Recording;
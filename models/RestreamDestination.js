@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+const restreamDestinationSchema = new mongoose.Schema({
+  // Owner of the destination
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  // Display name, e.g. "YouTube" or "Twitch"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  
+  // Ingest URL without the stream key, e.g. rtmp://a.rtmp.youtube.com/live2
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^rtmps?:\/\/\S+$/, 'Destination URL must be an rtmp:// or rtmps:// URL']
+  },
+  
+  // Destination stream key, encrypted at rest
+  encryptedStreamKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  
+  // Whether the destination is relayed to when the user goes live
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.encryptedStreamKey;
+      return ret;
+    }
+  }
+});
+
+restreamDestinationSchema.index({ user: 1, enabled: 1 });
+
+// Encrypt and store the destination stream key
+restreamDestinationSchema.methods.setStreamKey = function(streamKey) {
+  this.encryptedStreamKey = encrypt(streamKey);
+};
+
+// Full RTMP URL to push to (requires encryptedStreamKey to be selected)
+restreamDestinationSchema.methods.getTargetUrl = function() {
+  const streamKey = decrypt(this.encryptedStreamKey);
+  return `${this.url.replace(/\/+$/, '')}/${streamKey}`;
+};
+
+const RestreamDestination = mongoose.model('RestreamDestination', restreamDestinationSchema);
+
+module.exports = RestreamDestination;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const config = require('../config/config');
 
 const streamSchema = new mongoose.Schema({
   // Reference to the user who created the stream
@@ -28,6 +29,21 @@ const streamSchema = new mongoose.Schema({
     default: false
   },
   
+  // Serve LL-HLS (partial segments, blocking reload) alongside regular HLS
+  lowLatency: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Seconds of the live stream viewers can rewind (0 keeps only the
+  // short live window). Applies from the next publish.
+  dvrWindow: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: config.dvr.maxWindow
+  },
+  
   streamKey: {
     type: String,
     required: true,
@@ -37,10 +53,25 @@ const streamSchema = new mongoose.Schema({
   // Stream status
   status: {
     type: String,
-    enum: ['starting', 'live', 'ended', 'error'],
+    enum: ['starting', 'live', 'reconnecting', 'ended', 'error'],
     default: 'starting'
   },
   
+  // Transcoding profile the latest broadcast was encoded with
+  transcodeProfile: {
+    profile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TranscodeProfile'
+    },
+    name: String,
+    videoCodec: String,
+    renditions: [String],
+    gopSeconds: Number,
+    audioBitrate: Number,
+    hls: Boolean,
+    dash: Boolean
+  },
+  
   // Recording information
   recordingUrl: String,
   thumbnailUrl: String,
@@ -85,7 +116,15 @@ const streamSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // The stream key is a publishing credential; never send it to clients
+    transform: (doc, ret) => {
+      delete ret.streamKey;
+      delete ret.rtmpUrl;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -99,9 +138,9 @@ streamSchema.virtual('rtmpUrl').get(function() {
   return `rtmp://${process.env.RTMP_SERVER || 'your-server-address'}/live/${this.streamKey}`;
 });
 
-// Virtual for HLS playback URL
+// Virtual for HLS playback URL (through the playback gateway, by stream id)
 streamSchema.virtual('playbackUrl').get(function() {
-  return `/live/${this.streamKey}/index.m3u8`;
+  return `/api/playback/${this._id}/index.m3u8`;
 });
 
 // Virtual for duration in human-readable format
@@ -156,6 +195,21 @@ streamSchema.statics.getUserStreams = async function(userId, options = {}) {
     .populate('user', 'username profilePicture');
 };
 
+// Check whether a user may watch this stream. Private streams are limited
+// to the owner, admins and the owner's followers.
+streamSchema.methods.canBeViewedBy = async function(user) {
+  if (!this.isPrivate) return true;
+  if (!user) return false;
+  
+  const ownerId = this.user._id || this.user;
+  if (ownerId.toString() === user._id.toString() || user.role === 'admin') {
+    return true;
+  }
+  
+  const User = mongoose.model('User');
+  return !!(await User.exists({ _id: ownerId, followers: user._id }));
+};
+
 // Method to end the stream
 streamSchema.methods.endStream = async function() {
   this.status = 'ended';
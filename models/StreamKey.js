@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const streamKeySchema = new mongoose.Schema({
+  // Owner of the key
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  // Human readable label, e.g. "OBS desktop" or "mobile"
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  
+  // The secret key used in the RTMP publish URL
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  
+  // Last characters of the key so users can tell keys apart
+  keyPreview: String,
+  
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  
+  // Usage tracking
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  
+  // Revocation / rotation history
+  revokedAt: Date,
+  rotatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StreamKey'
+  },
+  rotatedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StreamKey'
+  }
+}, {
+  timestamps: true
+});
+
+streamKeySchema.index({ user: 1, status: 1 });
+
+// Generate a new random key value
+streamKeySchema.statics.generateKey = function() {
+  return `live_${crypto.randomBytes(16).toString('hex')}`;
+};
+
+// Fill the key and preview before the first save
+streamKeySchema.pre('validate', function(next) {
+  if (this.isNew && !this.key) {
+    this.key = this.constructor.generateKey();
+  }
+  if (this.isModified('key')) {
+    this.keyPreview = `...${this.key.slice(-4)}`;
+  }
+  next();
+});
+
+// Find an active key by value. Keys issued before named keys existed
+// (User.streamKey) are adopted as a "Default" key the first time they're used.
+streamKeySchema.statics.findActiveKey = async function(key) {
+  const existing = await this.findOne({ key }).select('+key');
+  
+  if (existing) {
+    return existing.status === 'active' ? existing : null;
+  }
+  
+  const User = mongoose.model('User');
+  const owner = await User.findOne({ streamKey: key }).select('_id');
+  if (!owner) {
+    return null;
+  }
+  
+  return this.create({ user: owner._id, label: 'Default', key });
+};
+
+// Record where and when the key was last used to publish
+streamKeySchema.methods.markUsed = async function(ip) {
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  return this.save();
+};
+
+// Revoke the key so the next publish attempt with it is rejected
+streamKeySchema.methods.revoke = async function() {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+const StreamKey = mongoose.model('StreamKey', streamKeySchema);
+
+module.exports = StreamKey;
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+// One rung of a transcoding ladder
+const renditionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-z0-9_-]+$/i, 'Rendition names may only contain letters, numbers, - and _']
+  },
+  
+  // Omitted for audio-only renditions
+  height: {
+    type: Number,
+    min: 144,
+    max: 2160
+  },
+  
+  videoBitrate: {
+    type: Number, // kbps
+    min: 100
+  },
+  
+  // H.264/H.265 profile and level, reported in the playlist CODECS attribute
+  profile: {
+    type: String,
+    enum: ['baseline', 'main', 'high'],
+    default: 'main'
+  },
+  
+  level: {
+    type: String,
+    match: [/^\d(\.\d)?$/, 'Level must look like 3.1'],
+    default: '3.1'
+  },
+  
+  // Overrides the profile's audioBitrate for this rendition (kbps)
+  audioBitrate: {
+    type: Number,
+    min: 32,
+    max: 320
+  },
+  
+  audioOnly: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+renditionSchema.pre('validate', function(next) {
+  if (!this.audioOnly && (!this.height || !this.videoBitrate)) {
+    this.invalidate('height', `Rendition ${this.name} needs a height and videoBitrate`);
+  }
+  next();
+});
+
+const transcodeProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 50
+  },
+  
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  
+  videoCodec: {
+    type: String,
+    enum: ['h264', 'h265'],
+    default: 'h264'
+  },
+  
+  renditions: {
+    type: [renditionSchema],
+    validate: [(renditions) => renditions.length > 0, 'A profile needs at least one rendition']
+  },
+  
+  // Keyframe interval in seconds; segments are a whole number of GOPs
+  gopSeconds: {
+    type: Number,
+    min: 1,
+    max: 10,
+    default: 2
+  },
+  
+  // Audio bitrate (kbps) for renditions that don't set their own
+  audioBitrate: {
+    type: Number,
+    min: 32,
+    max: 320,
+    default: 128
+  },
+  
+  hls: {
+    type: Boolean,
+    default: true
+  },
+  
+  dash: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Roles that use this profile unless a streamer has their own assigned
+  roles: [{
+    type: String,
+    enum: ['streamer', 'admin']
+  }],
+  
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+transcodeProfileSchema.index({ roles: 1 });
+
+transcodeProfileSchema.pre('validate', function(next) {
+  if (!this.hls && !this.dash) {
+    this.invalidate('hls', 'A profile must output HLS, DASH or both');
+  }
+  
+  const names = this.renditions.map(rendition => rendition.name);
+  if (new Set(names).size !== names.length) {
+    this.invalidate('renditions', 'Rendition names must be unique');
+  }
+  next();
+});
+
+// Profile for a publisher: their own assignment first, then their role's
+transcodeProfileSchema.statics.findForUser = async function(user) {
+  if (user.transcodeProfile) {
+    const profile = await this.findById(user.transcodeProfile);
+    if (profile) return profile;
+  }
+  
+  return this.findOne({ roles: user.role });
+};
+
+// Settings the transcoder needs, detached from the document
+transcodeProfileSchema.methods.toSettings = function() {
+  return {
+    profileId: this._id,
+    name: this.name,
+    videoCodec: this.videoCodec,
+    renditions: this.renditions.map(rendition => rendition.toObject()),
+    gopSeconds: this.gopSeconds,
+    audioBitrate: this.audioBitrate,
+    hls: this.hls,
+    dash: this.dash
+  };
+};
+
+const TranscodeProfile = mongoose.model('TranscodeProfile', transcodeProfileSchema);
+
+module.exports = TranscodeProfile;
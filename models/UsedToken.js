@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A single-use stream token that has been spent. Shared through the
+// database so a token can't be replayed against another node or after a
+// restart.
+const usedTokenSchema = new mongoose.Schema({
+  // The token's `jti`
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // When the token itself expires; it can't be replayed after that anyway
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB removes the record once the token has expired
+usedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsedToken', usedTokenSchema);
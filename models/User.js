@@ -41,6 +41,26 @@ const userSchema = new mongoose.Schema({
     type: String,
     unique: true
   },
+  // Per-account override for concurrent broadcasts (falls back to config.admission.maxPerUser)
+  maxConcurrentStreams: {
+    type: Number,
+    min: 0
+  },
+  // Per-account overrides for recording retention and storage (fall back to
+  // config.retention / config.quotas for the role). 0 means no limit.
+  retention: {
+    maxAgeDays: { type: Number, min: 0 },
+    keepLast: { type: Number, min: 0 }
+  },
+  storageQuota: {
+    type: Number, // bytes
+    min: 0
+  },
+  // Transcoding profile for this streamer (falls back to their role's profile)
+  transcodeProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TranscodeProfile'
+  },
   followers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
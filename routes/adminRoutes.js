@@ -0,0 +1,96 @@
+const express = require('express');
+const { check, query } = require('express-validator');
+const AdminController = require('../controllers/adminController');
+const { protect, adminOnly } = require('../middleware/auth');
+
+// Takes the running RTMP server: session control, bans and utilisation act
+// on its live publishers and viewers
+module.exports = (rtmpServer) => {
+  const router = express.Router();
+  const adminController = new AdminController(rtmpServer);
+
+  // All admin routes require an admin account
+  router.use('/admin', protect, adminOnly);
+
+  // Capacity routes
+  router.get('/admin/utilisation', (req, res) => adminController.getUtilisation(req, res));
+
+  // Session control routes
+  router.get('/admin/sessions', (req, res) => adminController.getSessions(req, res));
+  router.delete('/admin/sessions/:id', (req, res) => adminController.disconnectSession(req, res));
+  router.post('/admin/streams/:id/end', (req, res) => adminController.forceEndStream(req, res));
+
+  // Ban routes
+  router.get('/admin/bans', (req, res) => adminController.getBans(req, res));
+  router.post(
+    '/admin/bans',
+    [
+      check('userId', 'userId must be a valid id').optional().isMongoId(),
+      check('ip', 'ip must be a valid IP address').optional().isIP(),
+      check('actions', 'actions must be a list of publish/play').optional().isArray({ min: 1 }),
+      check('actions.*', 'actions must be publish or play').optional().isIn(['publish', 'play']),
+      check('duration', 'duration must be a positive number of seconds').optional().isInt({ min: 1 }).toInt(),
+      check('reason').optional().trim().isLength({ max: 500 })
+    ],
+    (req, res) => adminController.createBan(req, res)
+  );
+  router.delete('/admin/bans/:id', (req, res) => adminController.deleteBan(req, res));
+
+  // Transcoding profile routes
+  const profileRules = (optional) => {
+    const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+    return [
+      field('name', 'Name is required').trim().isLength({ min: 1, max: 50 }),
+      field('renditions', 'renditions must be a non-empty list').isArray({ min: 1 }),
+      check('renditions.*.name', 'Each rendition needs a name').optional().trim().not().isEmpty(),
+      check('videoCodec', 'videoCodec must be h264 or h265').optional().isIn(['h264', 'h265']),
+      check('gopSeconds', 'gopSeconds must be between 1 and 10').optional().isInt({ min: 1, max: 10 }).toInt(),
+      check('audioBitrate', 'audioBitrate must be between 32 and 320 kbps').optional().isInt({ min: 32, max: 320 }).toInt(),
+      check('hls', 'hls must be a boolean').optional().isBoolean().toBoolean(),
+      check('dash', 'dash must be a boolean').optional().isBoolean().toBoolean(),
+      check('roles', 'roles must be a list').optional().isArray(),
+      check('roles.*', 'roles must be streamer or admin').optional().isIn(['streamer', 'admin'])
+    ];
+  };
+
+  router.get('/admin/transcode-profiles', (req, res) => adminController.getTranscodeProfiles(req, res));
+  router.post('/admin/transcode-profiles', profileRules(false), (req, res) => adminController.createTranscodeProfile(req, res));
+  router.put('/admin/transcode-profiles/:id', profileRules(true), (req, res) => adminController.updateTranscodeProfile(req, res));
+  router.delete('/admin/transcode-profiles/:id', (req, res) => adminController.deleteTranscodeProfile(req, res));
+  router.put(
+    '/admin/users/:id/transcode-profile',
+    [check('profileId', 'profileId must be a valid id or null').optional({ nullable: true }).isMongoId()],
+    (req, res) => adminController.assignTranscodeProfile(req, res)
+  );
+
+  // Retention and quota routes
+  router.put(
+    '/admin/users/:id/retention',
+    [
+      check('maxAgeDays', 'maxAgeDays must be a whole number of days or null').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+      check('keepLast', 'keepLast must be a whole number or null').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+      check('storageQuota', 'storageQuota must be a number of bytes or null').optional({ nullable: true }).isInt({ min: 0 }).toInt()
+    ],
+    (req, res) => adminController.setUserRetention(req, res)
+  );
+  router.post(
+    '/admin/retention/run',
+    [check('dryRun', 'dryRun must be a boolean').optional().isBoolean().toBoolean()],
+    (req, res) => adminController.runRetention(req, res)
+  );
+
+  // Media job routes
+  router.get(
+    '/admin/jobs',
+    [
+      query('status', 'Invalid status').optional().isIn(['queued', 'running', 'completed', 'failed', 'cancelled']),
+      query('type').optional().trim()
+    ],
+    (req, res) => adminController.getJobs(req, res)
+  );
+  router.get('/admin/jobs/:id', (req, res) => adminController.getJob(req, res));
+  router.post('/admin/jobs/:id/retry', (req, res) => adminController.retryJob(req, res));
+  router.post('/admin/jobs/:id/cancel', (req, res) => adminController.cancelJob(req, res));
+
+  return router;
+};
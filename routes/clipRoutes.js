@@ -0,0 +1,47 @@
+const express = require('express');
+const { check, query } = require('express-validator');
+const ClipController = require('../controllers/clipController');
+const { protect, optionalAuth } = require('../middleware/auth');
+
+// Takes the running RTMP server, whose transcoder holds the live segments
+// clips are cut from
+module.exports = (rtmpServer) => {
+  const router = express.Router();
+  const clipController = new ClipController(rtmpServer);
+
+  // Clip routes
+  router.post(
+    '/clips',
+    protect,
+    [
+      check('streamId', 'A valid stream id is required').if(check('recordingId').not().exists()).isMongoId(),
+      check('recordingId', 'recordingId must be a valid id').optional().isMongoId(),
+      check('start', 'start must be a number of seconds').if(check('recordingId').exists()).isFloat({ min: 0 }).toFloat(),
+      check('end', 'end must be a number of seconds').if(check('recordingId').exists()).isFloat({ min: 0 }).toFloat(),
+      check('duration', 'duration must be a number of seconds').optional().isFloat({ min: 1 }).toFloat(),
+      check('title').optional().trim().isLength({ max: 100 })
+    ],
+    (req, res) => clipController.createClip(req, res)
+  );
+  router.get(
+    '/clips',
+    optionalAuth,
+    [
+      query('stream', 'stream must be a valid stream id').optional().isMongoId(),
+      query('creator', 'creator must be a valid user id').optional().isMongoId()
+    ],
+    (req, res) => clipController.getClips(req, res)
+  );
+  router.get('/clips/:id', optionalAuth, (req, res) => clipController.getClip(req, res));
+  router.get('/clips/:id/video.mp4', optionalAuth, (req, res) => clipController.getClipVideo(req, res));
+  router.get('/clips/:id/thumbnail.jpg', optionalAuth, (req, res) => clipController.getClipThumbnail(req, res));
+  router.put(
+    '/clips/:id',
+    protect,
+    [check('title', 'Title is required').trim().isLength({ min: 1, max: 100 })],
+    (req, res) => clipController.updateClip(req, res)
+  );
+  router.delete('/clips/:id', protect, (req, res) => clipController.deleteClip(req, res));
+
+  return router;
+};
@@ -0,0 +1,28 @@
+const express = require('express');
+const { check } = require('express-validator');
+const ExportController = require('../controllers/exportController');
+const { protect } = require('../middleware/auth');
+
+// Takes the running RTMP server, whose export service notifies owners
+module.exports = (rtmpServer) => {
+  const router = express.Router();
+  const exportController = new ExportController(rtmpServer);
+
+  // Export routes
+  router.get('/exports/presets', (req, res) => exportController.getPresets(req, res));
+  router.post(
+    '/recordings/:id/exports',
+    protect,
+    [
+      check('id', 'A valid recording id is required').isMongoId(),
+      check('preset', 'preset is required').isString().trim().notEmpty()
+    ],
+    (req, res) => exportController.createExport(req, res)
+  );
+  router.get('/recordings/:id/exports', protect, (req, res) => exportController.getRecordingExports(req, res));
+  router.get('/exports/:id', protect, (req, res) => exportController.getExport(req, res));
+  router.get('/exports/:id/download', (req, res) => exportController.downloadExport(req, res));
+  router.delete('/exports/:id', protect, (req, res) => exportController.deleteExport(req, res));
+
+  return router;
+};
@@ -0,0 +1,21 @@
+const express = require('express');
+const PlaybackController = require('../controllers/playbackController');
+const { optionalAuth } = require('../middleware/auth');
+
+// Takes the running RTMP server to find live sessions by stream id
+module.exports = (rtmpServer) => {
+  const router = express.Router();
+  const playbackController = new PlaybackController(rtmpServer);
+
+  // Playback gateway routes (LL-HLS first so `ll` isn't taken for a rendition)
+  router.get('/playback/:streamId/ll/index.m3u8', (req, res) => playbackController.getLowLatencyMasterPlaylist(req, res));
+  router.get('/playback/:streamId/ll/:rendition/:file', (req, res) => playbackController.getLowLatencyFile(req, res));
+  router.get('/playback/:streamId/:rendition/:file', (req, res) => playbackController.getRenditionFile(req, res));
+  router.get('/playback/:streamId/:file', (req, res) => playbackController.getRootFile(req, res));
+
+  // Recordings (VOD); signed-in viewers are recognised for private recordings
+  router.get('/vod/:recordingId/video.mp4', optionalAuth, (req, res) => playbackController.getRecordingVideo(req, res));
+  router.get('/vod/:recordingId/:file', optionalAuth, (req, res) => playbackController.getVodFile(req, res));
+
+  return router;
+};
@@ -0,0 +1,29 @@
+const express = require('express');
+const { check } = require('express-validator');
+const PullSourceController = require('../controllers/pullSourceController');
+const { protect, streamerOnly } = require('../middleware/auth');
+
+// Takes the running RTMP server, which owns the active pulls
+module.exports = (rtmpServer) => {
+  const router = express.Router();
+  const pullSourceController = new PullSourceController(rtmpServer);
+
+  // Pull source routes
+  router.get('/pull-sources', protect, streamerOnly, (req, res) => pullSourceController.getSources(req, res));
+  router.post(
+    '/pull-sources',
+    protect,
+    streamerOnly,
+    [
+      check('streamId', 'A valid stream id is required').isMongoId(),
+      check('url', 'URL must be an rtmp(s):// or http(s):// address').trim().matches(/^(rtmps?|https?):\/\/\S+$/),
+      check('name').optional().trim().isLength({ max: 50 })
+    ],
+    (req, res) => pullSourceController.createSource(req, res)
+  );
+  router.post('/pull-sources/:id/start', protect, streamerOnly, (req, res) => pullSourceController.startSource(req, res));
+  router.post('/pull-sources/:id/stop', protect, streamerOnly, (req, res) => pullSourceController.stopSource(req, res));
+  router.delete('/pull-sources/:id', protect, streamerOnly, (req, res) => pullSourceController.deleteSource(req, res));
+
+  return router;
+};
@@ -0,0 +1,75 @@
+const express = require('express');
+const { check, query } = require('express-validator');
+const recordingController = require('../controllers/recordingController');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/recordings
+// @desc    List a user's recordings (`?user=<id>`, defaults to your own)
+// @access  Public
+router.get(
+  '/',
+  [
+    auth.optionalAuth,
+    query('user', 'user must be a valid user id').optional().isMongoId(),
+    query('status', 'Invalid status').optional().isIn(['recording', 'processing', 'ready', 'failed'])
+  ],
+  recordingController.listRecordings
+);
+
+// @route   GET /api/recordings/usage
+// @desc    Storage used, retention rules and recordings due to be removed
+// @access  Private
+router.get(
+  '/usage',
+  [auth.protect, query('user', 'user must be a valid user id').optional().isMongoId()],
+  recordingController.getStorageUsage
+);
+
+// @route   GET /api/recordings/:id
+// @desc    Get a recording
+// @access  Public (owner/admin for hidden, unfinished or private recordings)
+router.get('/:id', auth.optionalAuth, recordingController.getRecording);
+
+// @route   GET /api/recordings/:id/thumbnail.jpg
+// @desc    Thumbnail of a recording
+// @access  Public (same rules as the recording)
+router.get('/:id/thumbnail.jpg', auth.optionalAuth, recordingController.getRecordingThumbnail);
+
+// @route   GET /api/recordings/:id/chapters
+// @desc    Chapters of a recording with its chat and reaction activity
+// @access  Public (same rules as the recording)
+router.get('/:id/chapters', auth.optionalAuth, recordingController.getRecordingChapters);
+
+// @route   GET /api/recordings/:id/chapters.vtt
+// @desc    Chapters of a recording as WebVTT
+// @access  Public (same rules as the recording)
+router.get('/:id/chapters.vtt', auth.optionalAuth, recordingController.getRecordingChaptersVtt);
+
+// @route   GET /api/recordings/:id/keyframes
+// @desc    Keyframe positions of a recording, in seconds
+// @access  Public (same rules as the recording)
+router.get('/:id/keyframes', auth.optionalAuth, recordingController.getRecordingKeyframes);
+
+// @route   PUT /api/recordings/:id
+// @desc    Rename, hide or pin a recording (pinned recordings are never
+//          removed by retention)
+// @access  Private (Owner/Admin)
+router.put(
+  '/:id',
+  [
+    auth.protect,
+    check('title', 'Title must be 100 characters or fewer').optional().trim().isLength({ min: 1, max: 100 }),
+    check('hidden', 'hidden must be a boolean').optional().isBoolean().toBoolean(),
+    check('pinned', 'pinned must be a boolean').optional().isBoolean().toBoolean()
+  ],
+  recordingController.updateRecording
+);
+
+// @route   DELETE /api/recordings/:id
+// @desc    Delete a recording and its files
+// @access  Private (Owner/Admin)
+router.delete('/:id', auth.protect, recordingController.deleteRecording);
+
+module.exports = router;
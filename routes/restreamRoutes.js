@@ -0,0 +1,29 @@
+const express = require('express');
+const { check } = require('express-validator');
+const RestreamController = require('../controllers/restreamController');
+const { protect, streamerOnly } = require('../middleware/auth');
+
+// Takes the running RTMP server so toggling a destination reaches its live
+// relays
+module.exports = (rtmpServer) => {
+  const router = express.Router();
+  const restreamController = new RestreamController(rtmpServer);
+
+  const destinationRules = (optional) => {
+    const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+    return [
+      field('name', 'Name is required').trim().isLength({ min: 1, max: 50 }),
+      field('url', 'URL must be an rtmp:// or rtmps:// address').trim().matches(/^rtmps?:\/\/\S+$/),
+      field('streamKey', 'Stream key is required').trim().not().isEmpty(),
+      check('enabled', 'enabled must be a boolean').optional().isBoolean().toBoolean()
+    ];
+  };
+
+  // Restream destination routes
+  router.get('/restream/destinations', protect, streamerOnly, (req, res) => restreamController.getDestinations(req, res));
+  router.post('/restream/destinations', protect, streamerOnly, destinationRules(false), (req, res) => restreamController.createDestination(req, res));
+  router.put('/restream/destinations/:id', protect, streamerOnly, destinationRules(true), (req, res) => restreamController.updateDestination(req, res));
+  router.delete('/restream/destinations/:id', protect, streamerOnly, (req, res) => restreamController.deleteDestination(req, res));
+
+  return router;
+};
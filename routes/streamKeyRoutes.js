@@ -0,0 +1,50 @@
+const express = require('express');
+const { check, query } = require('express-validator');
+const streamKeyController = require('../controllers/streamKeyController');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// All stream key routes require a streamer or admin account
+router.use(auth.protect, auth.streamerOnly);
+
+const validId = check('id', 'Invalid stream key id').isMongoId();
+
+// @route   GET /api/stream-keys
+// @desc    List the current user's stream keys
+// @access  Private (Streamer/Admin)
+router.get(
+  '/',
+  query('status', 'Invalid status').optional().isIn(['active', 'revoked']),
+  streamKeyController.listStreamKeys
+);
+
+// @route   POST /api/stream-keys
+// @desc    Create a new labelled stream key
+// @access  Private (Streamer/Admin)
+router.post(
+  '/',
+  check('label', 'Label must be 50 characters or fewer').optional().trim().isLength({ min: 1, max: 50 }),
+  streamKeyController.createStreamKey
+);
+
+// @route   PUT /api/stream-keys/:id
+// @desc    Rename a stream key
+// @access  Private (Streamer/Admin)
+router.put(
+  '/:id',
+  [validId, check('label', 'Label is required').trim().isLength({ min: 1, max: 50 })],
+  streamKeyController.updateStreamKey
+);
+
+// @route   POST /api/stream-keys/:id/rotate
+// @desc    Revoke a stream key and issue a replacement
+// @access  Private (Streamer/Admin)
+router.post('/:id/rotate', validId, streamKeyController.rotateStreamKey);
+
+// @route   DELETE /api/stream-keys/:id
+// @desc    Revoke a stream key
+// @access  Private (Streamer/Admin)
+router.delete('/:id', validId, streamKeyController.revokeStreamKey);
+
+module.exports = router;
@@ -1,19 +1,43 @@
 const express = require('express');
-const router = express.Router();
-const RTMPServer = require('../services/rtmpServer');
+const { check } = require('express-validator');
 const StreamController = require('../controllers/streamController');
+const streamKeyController = require('../controllers/streamKeyController');
+const { protect, optionalAuth, streamerOnly } = require('../middleware/auth');
 
-// Initialize controller with RTMP server instance
-const rtmpServer = new RTMPServer();
-const streamController = new StreamController(rtmpServer);
+// Takes the running RTMP server (the one server.js starts), whose live
+// sessions these routes report on and end
+module.exports = (rtmpServer) => {
+  const router = express.Router();
+  const streamController = new StreamController(rtmpServer);
 
-// Stream management routes
-router.post('/streams/generate-key', (req, res) => streamController.generateStreamKey(req, res));
-router.get('/streams/active', (req, res) => streamController.getActiveStreams(req, res));
-router.get('/streams/:streamKey', (req, res) => streamController.getStreamInfo(req, res));
-router.delete('/streams/:streamKey/end', (req, res) => streamController.endStream(req, res));
+  // Stream management routes
+  router.post('/streams/generate-key', protect, streamerOnly, streamKeyController.createStreamKey);
+  router.post(
+    '/streams/start',
+    protect,
+    streamerOnly,
+    check('title', 'Title is required').trim().isLength({ min: 1, max: 100 }),
+    (req, res) => streamController.startStream(req, res)
+  );
+  router.get('/streams/active', (req, res) => streamController.getActiveStreams(req, res));
+  router.get('/streams/:id/thumbnail.jpg', (req, res) => streamController.getStreamThumbnail(req, res));
+  router.get('/streams/:streamKey/health', protect, (req, res) => streamController.getStreamHealth(req, res));
+  router.get(
+    '/streams/:id',
+    optionalAuth,
+    check('id', 'A valid stream id is required').isMongoId(),
+    (req, res) => streamController.getStreamInfo(req, res)
+  );
+  router.patch(
+    '/streams/:id',
+    protect,
+    check('id', 'A valid stream id is required').isMongoId(),
+    (req, res) => streamController.updateStream(req, res)
+  );
+  router.delete('/streams/:id/end', protect, (req, res) => streamController.endStream(req, res));
 
-// Add authentication middleware for protected routes
-// router.use(require('../middleware/auth'));
+  // Add authentication middleware for protected routes
+  // router.use(require('../middleware/auth'));
 
-module.exports = router;
+  return router;
+};
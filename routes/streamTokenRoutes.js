@@ -0,0 +1,67 @@
+const express = require('express');
+const { check } = require('express-validator');
+const streamTokenController = require('../controllers/streamTokenController');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// Shared validation for token lifetime and single-use flag
+const tokenOptions = [
+  check('ttl', 'ttl must be a positive number of seconds').optional().isInt({ min: 1 }).toInt(),
+  check('singleUse', 'singleUse must be a boolean').optional().isBoolean().toBoolean()
+];
+
+// @route   POST /api/stream-tokens/publish
+// @desc    Mint a signed, expiring publish URL for a stream key
+// @access  Private (Streamer/Admin)
+router.post(
+  '/publish',
+  [
+    auth.protect,
+    auth.streamerOnly,
+    check('streamKeyId', 'A valid stream key id is required').isMongoId(),
+    ...tokenOptions
+  ],
+  streamTokenController.createPublishToken
+);
+
+// @route   POST /api/stream-tokens/play
+// @desc    Mint a signed, expiring play URL for a stream
+// @access  Private
+router.post(
+  '/play',
+  [
+    auth.protect,
+    check('streamId', 'A valid stream id is required').isMongoId(),
+    ...tokenOptions
+  ],
+  streamTokenController.createPlayToken
+);
+
+// @route   POST /api/stream-tokens/watch
+// @desc    Mint a signed watch token for HLS/DASH playback through the gateway
+// @access  Private
+router.post(
+  '/watch',
+  [
+    auth.protect,
+    check('streamId', 'A valid stream id is required').isMongoId(),
+    check('ttl', 'ttl must be a positive number of seconds').optional().isInt({ min: 1 }).toInt()
+  ],
+  streamTokenController.createWatchToken
+);
+
+// @route   POST /api/stream-tokens/vod
+// @desc    Mint a signed token for VOD playback of a recording
+// @access  Private
+router.post(
+  '/vod',
+  [
+    auth.protect,
+    check('recordingId', 'A valid recording id is required').isMongoId(),
+    check('ttl', 'ttl must be a positive number of seconds').optional().isInt({ min: 1 }).toInt()
+  ],
+  streamTokenController.createVodToken
+);
+
+module.exports = router;
@@ -27,15 +27,20 @@ const logger = require('./utils/logger');
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const streamRoutes = require('./routes/streamRoutes');
-const userRoutes = require('./routes/userRoutes');
+const streamKeyRoutes = require('./routes/streamKeyRoutes');
+const streamTokenRoutes = require('./routes/streamTokenRoutes');
+const recordingRoutes = require('./routes/recordingRoutes');
+const playbackRoutes = require('./routes/playbackRoutes');
+const clipRoutes = require('./routes/clipRoutes');
+const exportRoutes = require('./routes/exportRoutes');
+const restreamRoutes = require('./routes/restreamRoutes');
+const pullSourceRoutes = require('./routes/pullSourceRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Import services
 const RTMPServer = require('./services/rtmpServer');
 const WebSocketServer = require('./services/webSocketServer');
 
-// Import middleware
-const { errorHandler, notFound } = require('./middleware/errorMiddleware');
-
 // Create Express app
 const app = express();
 
@@ -46,13 +51,74 @@ app.set('trust proxy', 1);
 app.use(cors({
   origin: config.clientUrl,
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   exposedHeaders: ['set-cookie']
 }));
 
 // Set security HTTP headers
 app.use(helmet());
+
+// Body and cookie parsing
+app.use(express.json({ limit: '10kb' }));
+app.use(express.urlencoded({ extended: true, limit: '10kb' }));
+app.use(cookieParser());
+
+// Data sanitization against NoSQL query injection and XSS
+app.use(mongoSanitize());
+app.use(xss());
+
+// Prevent parameter pollution
+app.use(hpp());
+
+app.use(compression());
+
+if (process.env.NODE_ENV === 'development') {
+  app.use(morgan('dev'));
+}
+
+// Limit login and registration attempts from the same IP
+app.use('/api/auth', rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  message: 'Too many requests from this IP, please try again later'
+}));
+
+class LiveStreamServer {
+  constructor() {
+    this.app = app;
+    this.server = http.createServer(this.app);
+    this.io = socketIo(this.server, {
+      cors: {
+        origin: config.clientUrl,
+        credentials: true
+      }
+    });
+    
+    // Routes act on the RTMP server's live sessions, so it comes first
+    this.initializeServers();
+    this.initializeRoutes();
+    this.initializeErrorHandling();
+  }
+
+  initializeRoutes() {
+    this.app.use('/api/auth', authRoutes);
+    this.app.use('/api/stream-keys', streamKeyRoutes);
+    this.app.use('/api/stream-tokens', streamTokenRoutes);
+    this.app.use('/api/recordings', recordingRoutes);
+    
+    // Every router that touches live sessions shares the one running server
+    this.app.use('/api', streamRoutes(this.rtmpServer));
+    this.app.use('/api', playbackRoutes(this.rtmpServer));
+    this.app.use('/api', clipRoutes(this.rtmpServer));
+    this.app.use('/api', exportRoutes(this.rtmpServer));
+    this.app.use('/api', restreamRoutes(this.rtmpServer));
+    this.app.use('/api', pullSourceRoutes(this.rtmpServer));
+    this.app.use('/api', adminRoutes(this.rtmpServer));
+    
+    // Serve the client build in production
+    if (process.env.NODE_ENV === 'production') {
+      this.app.use(express.static(path.resolve(__dirname, '../client/build')));
       this.app.get('*', (req, res) => {
         res.sendFile(path.resolve(__dirname, '../client/build/index.html'));
       });
@@ -118,9 +184,20 @@ app.use(helmet());
     });
   }
 
-  start() {
+  async start() {
     const PORT = process.env.PORT || config.http.port;
     
+    try {
+      await mongoose.connect(config.database.uri);
+      logger.info('Connected to MongoDB');
+      
+      // Ingest, recording and media jobs
+      this.rtmpServer.start();
+    } catch (error) {
+      logger.error('Error starting the server:', error);
+      process.exit(1);
+    }
+    
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (err) => {
       logger.error('UNHANDLED REJECTION! 💥 Shutting down...');
@@ -0,0 +1,400 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const Clip = require('../models/Clip');
+const Stream = require('../models/Stream');
+const Recording = require('../models/Recording');
+const Ban = require('../models/Ban');
+const storageService = require('./storageService');
+const jobQueue = require('./jobQueue');
+const mediaProbeService = require('./mediaProbeService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const CLIP_DIR = path.join(__dirname, '../recordings/clips');
+
+// Errors the caller should report to the client with `status`
+const clipError = (message, status) => Object.assign(new Error(message), { status });
+
+// Cuts short highlight clips, either the last few seconds of a live stream
+// (from its HLS segments, snapshotted into storage) or a time range of a
+// finished recording, and renders each to an MP4 with a thumbnail on the
+// job queue
+class ClipService {
+  constructor(io, transcodeService) {
+    this.io = io;
+    this.transcodeService = transcodeService;
+
+    fs.mkdirSync(CLIP_DIR, { recursive: true });
+  }
+
+  // Renders notify the clip's creator over this service's sockets, so only
+  // the server that owns them registers the handler
+  registerJobs() {
+    jobQueue.register('clip.render', (job, context) => this.runRenderJob(job, context), {
+      onFailed: (job, error) => this.handleRenderFailed(job, error)
+    });
+  }
+
+  getClipPath(clipId) {
+    return path.join(CLIP_DIR, `${clipId}.mp4`);
+  }
+
+  getThumbnailPath(clipId) {
+    return path.join(CLIP_DIR, `${clipId}.jpg`);
+  }
+
+  // Local copy of a remote snapshot's playlist, pointing at signed URLs
+  getSnapshotPlaylistPath(clipId) {
+    return path.join(CLIP_DIR, `${clipId}_source.m3u8`);
+  }
+
+  // Validate a clip request and start rendering it. Live clips take
+  // `duration` (the last N seconds); recording clips take `start`/`end`.
+  // Resolves with the Clip, which turns `ready` once rendered.
+  async createClip({ user, ip, streamId, recordingId, start, end, duration, title }) {
+    const { minDuration, maxDuration, defaultDuration, maxPendingPerUser } = config.clips;
+
+    const ban = await Ban.findActive({ userId: user._id, ip, action: 'play' });
+    if (ban) {
+      throw clipError(`Playback is banned${ban.reason ? `: ${ban.reason}` : ''}`, 403);
+    }
+
+    const pending = await Clip.countDocuments({ creator: user._id, status: 'processing' });
+    if (pending >= maxPendingPerUser) {
+      throw clipError(`You can have at most ${maxPendingPerUser} clips processing at once`, 429);
+    }
+
+    let stream;
+    let recording = null;
+    let source;
+
+    if (recordingId) {
+      recording = await Recording.findById(recordingId);
+      if (!recording || !(await recording.canBeViewedBy(user))) {
+        throw clipError('Recording not found', 404);
+      }
+      if (recording.status !== 'ready') {
+        throw clipError('Recording is still being processed', 400);
+      }
+
+      start = Number(start);
+      end = Number(end);
+      if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end > (recording.duration || 0)) {
+        throw clipError('start and end must fall within the recording', 400);
+      }
+
+      duration = end - start;
+      stream = await Stream.findById(recording.stream);
+      source = { recordingId: recording._id.toString(), startOffset: start };
+    } else {
+      stream = await Stream.findById(streamId);
+      if (!stream || !(await stream.canBeViewedBy(user))) {
+        throw clipError('Stream not found', 404);
+      }
+      if (stream.status !== 'live') {
+        throw clipError('Stream is not live', 400);
+      }
+
+      duration = duration === undefined ? defaultDuration : Number(duration);
+    }
+
+    if (!Number.isFinite(duration) || duration < minDuration || duration > maxDuration) {
+      throw clipError(`Clips must be between ${minDuration} and ${maxDuration} seconds`, 400);
+    }
+
+    if (!stream) {
+      throw clipError('Stream not found', 404);
+    }
+
+    const clip = new Clip({
+      creator: user._id,
+      stream: stream._id,
+      streamer: stream.user,
+      recording: recording ? recording._id : undefined,
+      title: title || `${stream.title} clip`,
+      startOffset: recording ? start : undefined,
+      duration,
+      isPrivate: recording ? recording.isPrivate : stream.isPrivate
+    });
+    clip.path = this.getClipPath(clip._id);
+
+    // Copy the live segments now, before they leave the playlist window
+    if (!recording) {
+      source = await this.snapshotLiveSegments(stream.streamKey, duration, clip._id);
+      if (!source) {
+        throw clipError('No live segments are available to clip yet', 409);
+      }
+      if (source.available < minDuration) {
+        await fs.promises.rm(source.workDir, { recursive: true, force: true });
+        throw clipError(`Only ${Math.floor(source.available)} seconds of the stream are available to clip`, 409);
+      }
+      clip.duration = source.available;
+
+      // The render can be picked up by any node, so it reads the snapshot
+      // from storage rather than this node's disk
+      source = await this.storeSnapshot(clip._id, source);
+    }
+
+    try {
+      await clip.save();
+      await jobQueue.enqueue('clip.render', { clipId: clip._id.toString(), source }, { key: `clip.render:${clip._id}` });
+    } catch (error) {
+      await Clip.deleteOne({ _id: clip._id }).catch(() => {});
+      await this.removeSnapshot(clip._id, source).catch(() => {});
+      throw error;
+    }
+
+    return clip;
+  }
+
+  // Copy the segments covering the last `seconds` of a live stream into a
+  // working directory with a VOD playlist ffmpeg can read
+  async snapshotLiveSegments(streamKey, seconds, clipId) {
+    const recent = await this.transcodeService.getRecentSegments(streamKey, seconds);
+    if (!recent || recent.segments.length === 0) return null;
+
+    const workDir = path.join(CLIP_DIR, `${clipId}_work`);
+    await fs.promises.mkdir(workDir, { recursive: true });
+
+    try {
+      const files = recent.map ? [recent.map] : [];
+      files.push(...recent.segments.map(segment => segment.uri));
+      for (const file of files) {
+        await fs.promises.copyFile(path.join(recent.dir, file), path.join(workDir, file));
+      }
+    } catch (error) {
+      // A segment rolled out of the window while copying
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+      return null;
+    }
+
+    const targetDuration = Math.ceil(Math.max(...recent.segments.map(segment => segment.duration)));
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:7',
+      `#EXT-X-TARGETDURATION:${targetDuration}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD'
+    ];
+    if (recent.map) lines.push(`#EXT-X-MAP:URI="${recent.map}"`);
+    for (const segment of recent.segments) {
+      lines.push(`#EXTINF:${segment.duration.toFixed(3)},`);
+      lines.push(segment.uri);
+    }
+    lines.push('#EXT-X-ENDLIST');
+
+    const input = path.join(workDir, 'source.m3u8');
+    await fs.promises.writeFile(input, lines.join('\n') + '\n');
+
+    const available = Math.min(seconds, recent.duration);
+    return {
+      input,
+      inputOptions: ['-allowed_extensions ALL'],
+      startOffset: Math.max(0, recent.duration - available),
+      available,
+      workDir
+    };
+  }
+
+  // Hand a snapshot's working directory to storage under
+  // `clips/<id>_source/`; resolves with the render job's source
+  async storeSnapshot(clipId, snapshot) {
+    const storage = storageService.driver();
+    const prefix = `clips/${clipId}_source`;
+
+    try {
+      await storage.putDirectory(prefix, snapshot.workDir);
+    } catch (error) {
+      await storage.deletePrefix(`${prefix}/`).catch(() => {});
+      throw error;
+    } finally {
+      await fs.promises.rm(snapshot.workDir, { recursive: true, force: true });
+    }
+
+    return {
+      snapshot: { storage: storage.name, prefix },
+      inputOptions: snapshot.inputOptions,
+      startOffset: snapshot.startOffset
+    };
+  }
+
+  // Where ffmpeg reads a stored snapshot from. Remote snapshots go through
+  // a local copy of the playlist with each file swapped for a signed URL,
+  // signed per attempt so a retry never uses an expired one.
+  async resolveSnapshot(clipId, source) {
+    const storage = storageService.driver(source.snapshot.storage);
+    const key = `${source.snapshot.prefix}/source.m3u8`;
+
+    const localPath = storage.getLocalPath(key);
+    if (localPath) {
+      return { ...source, input: localPath };
+    }
+
+    const sign = file => storage.getSignedUrl(`${source.snapshot.prefix}/${file}`);
+    const playlist = (await storage.read(key)).toString('utf8');
+    const lines = await Promise.all(playlist.split('\n').map(async (line) => {
+      if (line.startsWith('#')) {
+        const match = line.match(/URI="([^"]+)"/);
+        return match ? line.replace(match[0], `URI="${await sign(match[1])}"`) : line;
+      }
+      return line.trim() ? sign(line.trim()) : line;
+    }));
+
+    const input = this.getSnapshotPlaylistPath(clipId);
+    await fs.promises.writeFile(input, lines.join('\n'));
+
+    return {
+      ...source,
+      input,
+      inputOptions: [...(source.inputOptions || []), '-protocol_whitelist file,http,https,tcp,tls,crypto']
+    };
+  }
+
+  // Job: render a clip. Recordings and live snapshots are read from storage
+  // at render time, so a retry never uses an expired signed URL.
+  async runRenderJob(job, context) {
+    const clip = await Clip.findById(job.payload.clipId);
+    let source = { ...job.payload.source };
+
+    if (!clip) {
+      context.log('Clip was deleted; nothing to do');
+      await this.removeSnapshot(job.payload.clipId, source);
+      return null;
+    }
+
+    if (source.snapshot) {
+      source = await this.resolveSnapshot(clip._id, source);
+    }
+
+    if (source.recordingId) {
+      const recording = await Recording.findById(source.recordingId);
+      if (!recording) {
+        throw Object.assign(new Error('Source recording was deleted'), { permanent: true });
+      }
+      // Recordings kept remotely are read straight from a signed URL
+      const storage = storageService.driver(recording.storage);
+      const key = `videos/${recording.filename}`;
+      source.input = storage.getLocalPath(key) || await storage.getSignedUrl(key);
+    }
+
+    await this.render(clip, source, context);
+    await this.removeSnapshot(clip._id, source);
+    return { size: clip.size };
+  }
+
+  // Encode the clip, check what came out and grab its thumbnail, hand them
+  // to storage, then mark it ready and tell whoever cut it. An empty or
+  // unplayable render fails the clip without retrying.
+  async render(clip, source, context) {
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg()
+        .input(source.input)
+        .inputOptions([
+          ...(source.inputOptions || []),
+          // Input seeking is frame-accurate when re-encoding, and doesn't
+          // decode a long recording from the start
+          `-ss ${source.startOffset}`
+        ])
+        .outputOptions([
+          `-t ${clip.duration}`,
+          '-c:v libx264',
+          '-preset veryfast',
+          '-crf 23',
+          '-c:a aac',
+          '-b:a 128k',
+          '-movflags +faststart'
+        ])
+        .on('end', resolve)
+        .on('error', reject);
+      context.track(command, { from: 0, to: 90 }).save(clip.path);
+    });
+
+    // The source may have ended before the requested cut did
+    const { size, duration } = await mediaProbeService.analyze(clip.path, { keyframes: false });
+    clip.duration = duration;
+
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(clip.path)
+        .outputOptions([
+          `-ss ${Math.min(1, clip.duration / 2)}`,
+          '-frames:v 1',
+          `-vf scale=${config.thumbnails.width}:-2`
+        ])
+        .on('end', resolve)
+        .on('error', reject);
+      context.track(command, { from: 90, to: 95 }).save(this.getThumbnailPath(clip._id));
+    });
+
+    const storage = storageService.driver();
+    await storage.put(`clips/${clip._id}.mp4`, clip.path);
+    await storage.put(`clips/${clip._id}.jpg`, this.getThumbnailPath(clip._id));
+    if (!storage.getLocalPath(`clips/${clip._id}.mp4`)) {
+      await this.removeLocalFiles(clip._id);
+    }
+
+    clip.size = size;
+    clip.storage = storage.name;
+    await Clip.updateOne({ _id: clip._id }, { status: 'ready', size, duration, storage: storage.name });
+
+    logger.info(`[CLIP] Clip ${clip._id} ready`, { stream: clip.stream.toString(), duration: clip.duration });
+    this.notify(clip, 'clip-ready');
+  }
+
+  // Out of attempts, unplayable or cancelled: mark the clip failed and tell
+  // its creator
+  async handleRenderFailed(job, error) {
+    await this.removeSnapshot(job.payload.clipId, job.payload.source);
+    await this.removeLocalFiles(job.payload.clipId);
+
+    const clip = await Clip.findByIdAndUpdate(
+      job.payload.clipId,
+      { status: 'failed', error: error.message },
+      { new: true }
+    );
+    if (!clip) return;
+
+    logger.error(`[CLIP] Failed to render clip ${clip._id}:`, { error: error.message });
+    this.notify(clip, 'clip-failed', error.message);
+  }
+
+  // Delete a live clip's stored snapshot and any local playlist for it
+  async removeSnapshot(clipId, source) {
+    if (!source || !source.snapshot) return;
+
+    await storageService.driver(source.snapshot.storage).deletePrefix(`${source.snapshot.prefix}/`);
+    await fs.promises.rm(this.getSnapshotPlaylistPath(clipId), { force: true });
+  }
+
+  notify(clip, event, error) {
+    if (!this.io) return;
+
+    this.io.to(`user:${clip.creator}`).emit(event, {
+      clipId: clip._id,
+      streamId: clip.stream,
+      title: clip.title,
+      ...(error ? { error } : { videoUrl: clip.videoUrl, thumbnailUrl: clip.thumbnailUrl })
+    });
+  }
+
+  removeLocalFiles(clipId) {
+    return Promise.all([
+      fs.promises.rm(this.getClipPath(clipId), { force: true }),
+      fs.promises.rm(this.getThumbnailPath(clipId), { force: true })
+    ]);
+  }
+
+  // Delete a clip's video and thumbnail from wherever they're stored
+  async deleteClipFiles(clip) {
+    if (clip.status === 'ready') {
+      const storage = storageService.driver(clip.storage);
+      await Promise.all([
+        storage.delete(`clips/${clip._id}.mp4`),
+        storage.delete(`clips/${clip._id}.jpg`)
+      ]);
+    }
+    await this.removeLocalFiles(clip._id);
+  }
+}
+
+module.exports = ClipService;
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const Export = require('../models/Export');
+const Job = require('../models/Job');
+const Recording = require('../models/Recording');
+const storageService = require('./storageService');
+const streamTokenService = require('./streamTokenService');
+const mediaProbeService = require('./mediaProbeService');
+const jobQueue = require('./jobQueue');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const EXPORT_DIR = path.join(__dirname, '../recordings/exports');
+
+// Conversions a recording can be exported to. `needs` is the stream the
+// source must have.
+const PRESETS = {
+  mp3: {
+    label: 'MP3 audio',
+    extension: 'mp3',
+    needs: 'audio',
+    outputOptions: ['-vn', '-c:a libmp3lame', '-b:a 192k']
+  },
+  aac: {
+    label: 'AAC audio',
+    extension: 'm4a',
+    needs: 'audio',
+    outputOptions: ['-vn', '-c:a aac', '-b:a 160k', '-movflags +faststart']
+  },
+  '720p': {
+    label: '720p MP4',
+    extension: 'mp4',
+    needs: 'video',
+    outputOptions: [
+      // Smaller sources keep their size
+      "-vf scale=-2:'min(720,ih)'",
+      '-c:v libx264',
+      '-preset veryfast',
+      '-crf 23',
+      '-c:a aac',
+      '-b:a 128k',
+      '-movflags +faststart'
+    ]
+  },
+  vertical: {
+    label: 'Vertical 9:16 MP4',
+    extension: 'mp4',
+    needs: 'video',
+    outputOptions: [
+      // Centre crop to 9:16, at most 1280 high
+      "-vf crop='min(iw,trunc(ih*9/32)*2)':ih,scale=-2:'min(1280,ih)'",
+      '-c:v libx264',
+      '-preset veryfast',
+      '-crf 23',
+      '-c:a aac',
+      '-b:a 128k',
+      '-movflags +faststart'
+    ]
+  },
+  webm: {
+    label: 'WebM (VP9/Opus)',
+    extension: 'webm',
+    needs: 'video',
+    outputOptions: [
+      '-c:v libvpx-vp9',
+      '-crf 32',
+      '-b:v 0',
+      '-deadline good',
+      '-cpu-used 4',
+      '-row-mt 1',
+      '-c:a libopus',
+      '-b:a 128k'
+    ]
+  }
+};
+
+// Errors the caller should report to the client with `status`
+const exportError = (message, status) => Object.assign(new Error(message), { status });
+
+// Converts finished recordings to download formats (podcast audio, smaller
+// or vertical video for social media) on the job queue, and hands out
+// expiring download links to the results
+class ExportService {
+  constructor(io) {
+    this.io = io;
+
+    fs.mkdirSync(EXPORT_DIR, { recursive: true });
+  }
+
+  // Conversions notify the owner over this service's sockets, so only the
+  // server that owns them registers the handler
+  registerJobs() {
+    jobQueue.register('recording.export', (job, context) => this.runExportJob(job, context), {
+      onFailed: (job, error) => this.handleExportFailed(job, error)
+    });
+  }
+
+  getPresets() {
+    return Object.entries(PRESETS).map(([name, preset]) => ({
+      name,
+      label: preset.label,
+      extension: preset.extension
+    }));
+  }
+
+  // Queue a recording's conversion to `preset`. Resolves with the Export; a
+  // matching export that's converting or ready is returned instead of
+  // converting again.
+  async createExport({ user, recordingId, preset: presetName }) {
+    const preset = PRESETS[presetName];
+    if (!preset) {
+      throw exportError(`preset must be one of ${Object.keys(PRESETS).join(', ')}`, 400);
+    }
+
+    const recording = await Recording.findById(recordingId);
+    if (!recording || !recording.isManageableBy(user)) {
+      throw exportError('Recording not found', 404);
+    }
+    if (recording.status !== 'ready') {
+      throw exportError('Recording is still being processed', 400);
+    }
+    if (preset.needs === 'audio' ? !recording.audioCodec : !recording.videoCodec) {
+      throw exportError(`Recording has no ${preset.needs}`, 400);
+    }
+
+    const existing = await Export.findOne({
+      recording: recording._id,
+      preset: presetName,
+      status: { $in: ['processing', 'ready'] }
+    });
+    if (existing) return existing;
+
+    const pending = await Export.countDocuments({ user: user._id, status: 'processing' });
+    if (pending >= config.exports.maxPendingPerUser) {
+      throw exportError(`You can have at most ${config.exports.maxPendingPerUser} exports converting at once`, 429);
+    }
+
+    const exp = new Export({ recording: recording._id, user: user._id, preset: presetName });
+    exp.key = `exports/${recording._id}/${exp._id}.${preset.extension}`;
+
+    try {
+      await exp.save();
+      const job = await jobQueue.enqueue('recording.export', { exportId: exp._id.toString() }, { key: `recording.export:${exp._id}` });
+      exp.job = job._id;
+      await Export.updateOne({ _id: exp._id }, { job: job._id });
+    } catch (error) {
+      await Export.deleteOne({ _id: exp._id }).catch(() => {});
+      throw error;
+    }
+
+    logger.info(`[EXPORT] Queued ${presetName} export of recording ${recording._id}`, { export: exp._id.toString() });
+    return exp;
+  }
+
+  // Signed link to download a ready export, valid for config.exports.downloadTtl
+  getDownloadLink(exp) {
+    const { token, expiresAt } = streamTokenService.sign({
+      exportId: exp._id,
+      action: 'download',
+      userId: exp.user,
+      ttl: config.exports.downloadTtl
+    });
+    return { url: `/api/exports/${exp._id}/download?token=${token}`, expiresAt };
+  }
+
+  // Exports as returned to their owner: with conversion progress, and a
+  // download link once ready
+  async describe(exports) {
+    const jobIds = exports.filter(exp => exp.status === 'processing' && exp.job).map(exp => exp.job);
+    const jobs = jobIds.length > 0 ? await Job.find({ _id: { $in: jobIds } }).select('progress') : [];
+    const progress = new Map(jobs.map(job => [job._id.toString(), job.progress]));
+
+    return exports.map((exp) => {
+      const described = { ...exp.toJSON(), label: PRESETS[exp.preset] ? PRESETS[exp.preset].label : exp.preset };
+      if (exp.status === 'processing') {
+        described.progress = (exp.job && progress.get(exp.job.toString())) || 0;
+      } else if (exp.status === 'ready') {
+        described.progress = 100;
+        described.download = this.getDownloadLink(exp);
+      }
+      return described;
+    });
+  }
+
+  // Job: convert a recording, read from wherever it's stored, and store
+  // the result
+  async runExportJob(job, context) {
+    const exp = await Export.findById(job.payload.exportId);
+    if (!exp) {
+      context.log('Export was deleted; nothing to do');
+      return null;
+    }
+
+    const recording = await Recording.findById(exp.recording);
+    if (!recording) {
+      throw Object.assign(new Error('Recording was deleted'), { permanent: true });
+    }
+
+    const preset = PRESETS[exp.preset];
+    const source = storageService.driver(recording.storage);
+    const videoKey = `videos/${recording.filename}`;
+    // Remote recordings are read straight from a signed URL
+    const input = source.getLocalPath(videoKey) || await source.getSignedUrl(videoKey);
+    const outputPath = this.getOutputPath(exp);
+
+    await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+    context.log(`Converting to ${preset.label}`);
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(input)
+        .outputOptions(preset.outputOptions)
+        .on('end', resolve)
+        .on('error', (err) => {
+          fs.rmSync(outputPath, { force: true });
+          reject(err);
+        });
+      context.track(command, { from: 0, to: 95 }).save(outputPath);
+    });
+
+    const { size } = await mediaProbeService.analyze(outputPath, { keyframes: false });
+
+    context.log('Storing');
+    const storage = storageService.driver();
+    await storage.put(exp.key, outputPath);
+    if (!storage.getLocalPath(exp.key)) {
+      await fs.promises.rm(outputPath, { force: true });
+    }
+
+    const { modifiedCount } = await Export.updateOne(
+      { _id: exp._id, status: 'processing' },
+      { status: 'ready', size, storage: storage.name }
+    );
+    // Deleted (with its recording) while converting
+    if (modifiedCount === 0) {
+      await storage.delete(exp.key);
+      return null;
+    }
+
+    exp.set({ status: 'ready', size, storage: storage.name });
+    logger.info(`[EXPORT] ${exp.preset} export of recording ${recording._id} ready`, { export: exp._id.toString(), size });
+    this.notify(exp, 'export-ready');
+    return { size };
+  }
+
+  // Out of attempts, unplayable or cancelled: mark the export failed and
+  // tell its owner
+  async handleExportFailed(job, error) {
+    const exp = await Export.findByIdAndUpdate(
+      job.payload.exportId,
+      { status: 'failed', error: error.message },
+      { new: true }
+    );
+    if (!exp) return;
+
+    await fs.promises.rm(this.getOutputPath(exp), { force: true });
+    logger.error(`[EXPORT] Failed to export recording ${exp.recording}:`, { export: exp._id.toString(), error: error.message });
+    this.notify(exp, 'export-failed', error.message);
+  }
+
+  notify(exp, event, error) {
+    if (!this.io) return;
+
+    this.io.to(`user:${exp.user}`).emit(event, {
+      exportId: exp._id,
+      recordingId: exp.recording,
+      preset: exp.preset,
+      ...(error ? { error } : { size: exp.size, download: this.getDownloadLink(exp) })
+    });
+  }
+
+  // Working file of a conversion; with local storage it's also where the
+  // result is kept
+  getOutputPath(exp) {
+    return path.join(EXPORT_DIR, path.relative('exports', exp.key));
+  }
+
+  // Delete an export's file and entry
+  async deleteExport(exp) {
+    if (exp.status === 'ready') {
+      await storageService.driver(exp.storage).delete(exp.key);
+    }
+    await fs.promises.rm(this.getOutputPath(exp), { force: true });
+    await exp.deleteOne();
+  }
+}
+
+module.exports = ExportService;
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Recording = require('../models/Recording');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const recordingService = require('./recordingService');
+
+// Tracks chat and reaction rates of live streams and marks their spikes as
+// highlights on the recording, alongside markers the streamer drops by hand
+class HighlightService {
+  constructor(io) {
+    this.io = io;
+    this.trackers = new Map(); // streamId -> activity tracker
+  }
+
+  // Start counting a live broadcast's activity. Counting carries on while
+  // the publisher reconnects; chat doesn't stop for it.
+  start(session) {
+    const streamId = session.streamId.toString();
+    if (this.trackers.has(streamId)) return;
+
+    const tracker = {
+      streamId,
+      streamKey: session.streamKey,
+      userId: session.userId.toString(),
+      startedAt: Date.now(),
+      bucket: { chat: 0, reactions: 0 },
+      history: [], // weighted activity of recent buckets
+      lastHighlightAt: 0,
+      timer: null
+    };
+    tracker.timer = setInterval(() => this.closeBucket(tracker), config.highlights.bucketSize * 1000);
+    this.trackers.set(streamId, tracker);
+  }
+
+  stop(streamId) {
+    const tracker = this.trackers.get(streamId.toString());
+    if (!tracker) return;
+
+    clearInterval(tracker.timer);
+    this.trackers.delete(tracker.streamId);
+  }
+
+  // Count a chat message (`chat`) or reaction (`reactions`) on a stream
+  recordActivity(streamId, type) {
+    const tracker = this.trackers.get(String(streamId));
+    if (tracker) {
+      tracker.bucket[type]++;
+    }
+  }
+
+  // End the current bucket: keep its counts with the recording and mark it
+  // as a highlight if it stands out from the recent average
+  closeBucket(tracker) {
+    const { bucketSize, baselineWindow, warmup, reactionWeight, minActivity, spikeRatio, cooldown, leadIn } = config.highlights;
+    const { chat, reactions } = tracker.bucket;
+    tracker.bucket = { chat: 0, reactions: 0 };
+
+    const weighted = chat + reactions * reactionWeight;
+    const baseline = tracker.history.length > 0
+      ? tracker.history.reduce((total, value) => total + value, 0) / tracker.history.length
+      : 0;
+    tracker.history.push(weighted);
+    if (tracker.history.length > baselineWindow) {
+      tracker.history.shift();
+    }
+
+    const position = recordingService.getRecordingOffset(tracker.streamKey);
+    if (!position || weighted === 0) return;
+
+    const bucketStart = Math.max(0, position.offset - bucketSize);
+    Recording.updateOne(
+      { _id: position.recordingId },
+      { $push: { activity: { offset: bucketStart, chat, reactions } } }
+    ).catch((error) => {
+      logger.error(`[HIGHLIGHTS] Failed to save activity for recording ${position.recordingId}:`, { error: error.message });
+    });
+
+    const now = Date.now();
+    const isSpike = now - tracker.startedAt >= warmup * 1000 &&
+      now - tracker.lastHighlightAt >= cooldown * 1000 &&
+      weighted >= minActivity &&
+      weighted >= baseline * spikeRatio;
+    if (!isSpike) return;
+
+    tracker.lastHighlightAt = now;
+    const trigger = reactions * reactionWeight > chat ? 'reactions' : 'chat';
+    this.addMarker(tracker, position.recordingId, {
+      kind: 'highlight',
+      offset: Math.max(0, bucketStart - leadIn),
+      title: trigger === 'chat' ? 'Chat spike' : 'Reaction spike',
+      trigger,
+      score: Math.round(weighted / Math.max(baseline, 1) * 10) / 10
+    }).catch((error) => {
+      logger.error(`[HIGHLIGHTS] Failed to save highlight for recording ${position.recordingId}:`, { error: error.message });
+    });
+  }
+
+  // Drop a marker at the current point of a live stream. Only its streamer
+  // (or an admin) may. Resolves with the marker.
+  async addManualMarker(streamId, user, title) {
+    const tracker = this.trackers.get(String(streamId));
+    if (!tracker) {
+      throw new Error('Stream is not live');
+    }
+    if (tracker.userId !== user._id.toString() && user.role !== 'admin') {
+      throw new Error('Only the streamer can add markers');
+    }
+
+    const position = recordingService.getRecordingOffset(tracker.streamKey);
+    if (!position) {
+      throw new Error('Stream is not being recorded');
+    }
+
+    const marker = await this.addMarker(tracker, position.recordingId, {
+      kind: 'manual',
+      offset: position.offset,
+      title: title || 'Marker',
+      createdBy: user._id
+    });
+    if (!marker) {
+      throw new Error(`Recordings can have at most ${config.highlights.maxMarkers} markers`);
+    }
+    return marker;
+  }
+
+  // Store a marker on the recording and announce it to the stream room.
+  // Resolves with the marker, or null when the recording is full.
+  async addMarker(tracker, recordingId, fields) {
+    const marker = { _id: new mongoose.Types.ObjectId(), ...fields, createdAt: new Date() };
+
+    const { modifiedCount } = await Recording.updateOne(
+      { _id: recordingId, [`markers.${config.highlights.maxMarkers - 1}`]: { $exists: false } },
+      { $push: { markers: marker } }
+    );
+    if (modifiedCount === 0) return null;
+
+    logger.info(`[HIGHLIGHTS] ${marker.kind === 'manual' ? 'Marker' : 'Highlight'} at ${marker.offset}s in recording ${recordingId}`, {
+      streamId: tracker.streamId,
+      trigger: marker.trigger,
+      score: marker.score
+    });
+
+    if (this.io) {
+      this.io.to(`stream:${tracker.streamId}`).emit('stream-marker', {
+        streamId: tracker.streamId,
+        recordingId,
+        marker
+      });
+    }
+    return marker;
+  }
+}
+
+module.exports = HighlightService;
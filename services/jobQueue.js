@@ -0,0 +1,331 @@
+const os = require('os');
+const Job = require('../models/Job');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const ACTIVE = ['queued', 'running'];
+
+// Durable queue for ffmpeg work. Jobs live in MongoDB, so they survive
+// restarts and can be inspected, cancelled and re-run. A bounded pool of
+// workers on each node claims queued jobs atomically; running jobs
+// heartbeat, and a job whose worker stops heartbeating (e.g. the server
+// died mid-job) is requeued. Failures are retried with exponential backoff
+// until the job runs out of attempts.
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.running = new Map(); // job id -> { controller, progress }
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.polling = false;
+  }
+
+  // Register the handler for a job type. `handler(job, context)` resolves
+  // with the job's result, or throws; errors flagged `permanent` (e.g. a
+  // corrupt file) aren't retried. `onFailed(job, error)` runs once a job has
+  // failed for good (out of attempts, or cancelled).
+  register(type, handler, { maxAttempts = config.jobs.maxAttempts, onFailed } = {}) {
+    this.handlers.set(type, { handler, maxAttempts, onFailed });
+  }
+
+  // Queue a job. With a `key`, a queued or running job with the same key is
+  // returned instead of queueing a duplicate.
+  async enqueue(type, payload = {}, { key, maxAttempts, delay = 0 } = {}) {
+    if (key) {
+      const existing = await Job.findOne({ key, status: { $in: ACTIVE } });
+      if (existing) return existing;
+    }
+
+    const registered = this.handlers.get(type);
+    let job;
+    try {
+      job = await Job.create({
+        type,
+        payload,
+        key,
+        maxAttempts: maxAttempts || (registered ? registered.maxAttempts : config.jobs.maxAttempts),
+        runAt: new Date(Date.now() + delay * 1000)
+      });
+    } catch (error) {
+      // Another node queued the same key since we looked (the unique index
+      // on active keys refused ours)
+      if (key && error.code === 11000) {
+        const existing = await Job.findOne({ key, status: { $in: ACTIVE } });
+        if (existing) return existing;
+      }
+      throw error;
+    }
+
+    setImmediate(() => this.poll());
+    return job;
+  }
+
+  // Start this node's workers
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => this.poll(), config.jobs.pollInterval * 1000);
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch((error) => {
+        logger.error('[JOBS] Heartbeat failed:', { error: error.message });
+      });
+    }, config.jobs.heartbeatInterval * 1000);
+
+    logger.info(`[JOBS] Worker ${this.workerId} started`, { concurrency: config.jobs.concurrency });
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  // Claim and start queued jobs while there are free workers
+  async poll() {
+    if (!this.pollTimer || this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.running.size < config.jobs.concurrency) {
+        const job = await this.claim();
+        if (!job) break;
+        this.execute(job).catch((error) => {
+          logger.error(`[JOBS] ${job.type} job ${job._id} could not be settled:`, { error: error.message });
+        });
+      }
+    } catch (error) {
+      logger.error('[JOBS] Failed to claim jobs:', { error: error.message });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Atomically take the next due job of a type this node handles
+  claim() {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: now }, type: { $in: Array.from(this.handlers.keys()) } },
+      {
+        $set: { status: 'running', lockedBy: this.workerId, lockedAt: now, startedAt: now, progress: 0 },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async execute(job) {
+    const { handler } = this.handlers.get(job.type);
+    const controller = new AbortController();
+    const entry = { controller, progress: null };
+    this.running.set(job.id, entry);
+
+    const context = {
+      signal: controller.signal,
+      log: (message, level) => this.log(job, message, level),
+      // Progress is written with the next heartbeat
+      progress: (percent) => {
+        entry.progress = Math.max(0, Math.min(100, Math.round(percent)));
+      },
+      // Kill an ffmpeg command if the job is cancelled, and report its
+      // progress mapped onto `from`-`to` of the whole job
+      track: (command, { from = 0, to = 100 } = {}) => {
+        controller.signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+        command.on('progress', (progress) => {
+          if (typeof progress.percent === 'number') {
+            context.progress(from + (to - from) * Math.min(progress.percent, 100) / 100);
+          }
+        });
+        return command;
+      }
+    };
+
+    await this.log(job, `Attempt ${job.attempts} of ${job.maxAttempts} started on ${this.workerId}`);
+
+    try {
+      const result = await handler(job, context);
+      if (controller.signal.aborted) {
+        throw new Error('Cancelled');
+      }
+
+      await Job.updateOne(
+        { _id: job._id, status: 'running', lockedBy: job.lockedBy },
+        {
+          status: 'completed',
+          result,
+          progress: 100,
+          finishedAt: new Date(),
+          $unset: { lockedBy: 1, lockedAt: 1, error: 1 }
+        }
+      );
+      await this.log(job, 'Completed');
+      logger.info(`[JOBS] ${job.type} job ${job._id} completed`);
+    } catch (error) {
+      // If even recording the failure fails (e.g. MongoDB is unreachable),
+      // the job stays locked and is requeued once it goes stale
+      try {
+        await this.handleFailure(job, error, controller.signal.aborted);
+      } catch (failureError) {
+        logger.error(`[JOBS] Failed to record the failure of ${job.type} job ${job._id}:`, { error: failureError.message });
+      }
+    } finally {
+      this.running.delete(job.id);
+      setImmediate(() => this.poll());
+    }
+  }
+
+  // Retry a failed attempt after a backoff, or fail the job for good
+  async handleFailure(job, error, cancelled) {
+    const registered = this.handlers.get(job.type);
+    const filter = { _id: job._id, status: 'running', lockedBy: job.lockedBy };
+    const unlock = { $unset: { lockedBy: 1, lockedAt: 1 } };
+
+    if (!cancelled && !error.permanent && job.attempts < job.maxAttempts) {
+      const delay = Math.min(config.jobs.backoffMax, config.jobs.backoffBase * 2 ** (job.attempts - 1));
+      await Job.updateOne(filter, {
+        status: 'queued',
+        runAt: new Date(Date.now() + delay * 1000),
+        error: error.message,
+        ...unlock
+      });
+      await this.log(job, `Attempt ${job.attempts} failed: ${error.message}; retrying in ${delay}s`, 'warn');
+      logger.warn(`[JOBS] ${job.type} job ${job._id} failed, retrying in ${delay}s:`, { error: error.message });
+      return;
+    }
+
+    // Whatever a cancelled handler threw, it was stopped on purpose
+    const reason = cancelled ? new Error('Cancelled') : error;
+    const { modifiedCount } = await Job.updateOne(filter, {
+      status: cancelled ? 'cancelled' : 'failed',
+      error: reason.message,
+      finishedAt: new Date(),
+      ...unlock
+    });
+    // Someone else already settled it (e.g. requeued as stale)
+    if (modifiedCount === 0) return;
+
+    if (cancelled) {
+      await this.log(job, 'Cancelled', 'warn');
+      logger.warn(`[JOBS] ${job.type} job ${job._id} cancelled`);
+    } else {
+      await this.log(job, `Failed: ${error.message}`, 'error');
+      logger.error(`[JOBS] ${job.type} job ${job._id} failed:`, { error: error.message });
+    }
+    await this.runFailedHook(registered, job, reason);
+  }
+
+  async runFailedHook(registered, job, error) {
+    if (!registered || !registered.onFailed) return;
+
+    try {
+      await registered.onFailed(job, error);
+    } catch (hookError) {
+      logger.error(`[JOBS] Failure handler for ${job.type} job ${job._id} threw:`, { error: hookError.message });
+    }
+  }
+
+  // Refresh the locks and progress of this node's running jobs, stop any
+  // cancelled elsewhere, and requeue jobs whose workers have gone quiet
+  async heartbeat() {
+    for (const [id, entry] of this.running) {
+      const update = { lockedAt: new Date() };
+      if (entry.progress !== null) update.progress = entry.progress;
+
+      const job = await Job.findOneAndUpdate(
+        { _id: id, status: 'running', lockedBy: this.workerId },
+        update,
+        { new: true }
+      ).select('cancelRequested');
+
+      // Cancelled, or the lock was lost to a stale-job sweep
+      if (!job || job.cancelRequested) entry.controller.abort();
+    }
+
+    await this.requeueStale();
+  }
+
+  async requeueStale() {
+    const cutoff = new Date(Date.now() - config.jobs.staleAfter * 1000);
+    const stale = await Job.find({ status: 'running', lockedAt: { $lt: cutoff } });
+
+    for (const job of stale) {
+      await this.log(job, `Worker ${job.lockedBy} stopped responding`, 'warn');
+      await this.handleFailure(job, new Error('Worker stopped responding'), job.cancelRequested);
+    }
+  }
+
+  // Cancel a queued or running job. Resolves with the job, or null when it
+  // has already finished.
+  async cancel(jobId) {
+    const queued = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { status: 'cancelled', error: 'Cancelled', finishedAt: new Date() },
+      { new: true }
+    );
+    if (queued) {
+      await this.log(queued, 'Cancelled', 'warn');
+      await this.runFailedHook(this.handlers.get(queued.type), queued, new Error('Cancelled'));
+      return queued;
+    }
+
+    const running = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'running' },
+      { cancelRequested: true },
+      { new: true }
+    );
+    if (running) {
+      const entry = this.running.get(running.id);
+      if (entry) entry.controller.abort();
+    }
+    return running;
+  }
+
+  // Queue a failed or cancelled job to run again from scratch. Resolves with
+  // the job, or null when it isn't failed or cancelled; rejects with a 409
+  // error when another job with its key is already queued or running.
+  async retry(jobId) {
+    let job;
+    try {
+      job = await Job.findOneAndUpdate(
+        { _id: jobId, status: { $in: ['failed', 'cancelled'] } },
+        {
+          status: 'queued',
+          attempts: 0,
+          progress: 0,
+          runAt: new Date(),
+          cancelRequested: false,
+          $unset: { error: 1, result: 1, finishedAt: 1 }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw Object.assign(new Error('The same work is already queued or running'), { status: 409 });
+      }
+      throw error;
+    }
+
+    if (job) {
+      await this.log(job, 'Re-queued');
+      setImmediate(() => this.poll());
+    }
+    return job;
+  }
+
+  log(job, message, level = 'info') {
+    return Job.updateOne(
+      { _id: job._id },
+      { $push: { logs: { $each: [{ at: new Date(), level, message }], $slice: -config.jobs.maxLogLines } } }
+    ).catch((error) => {
+      logger.error(`[JOBS] Failed to log to job ${job._id}:`, { error: error.message });
+    });
+  }
+}
+
+// Create a singleton instance
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const Stream = require('../models/Stream');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const streamTokenService = require('./streamTokenService');
+
+const LIVE_THUMBNAIL_DIR = path.join(__dirname, '../recordings/thumbnails/live');
+
+// Grabs a frame from each live stream every few seconds, keeps it as the
+// stream's thumbnail and tells discovery listeners it changed
+class LiveThumbnailService {
+  constructor(io) {
+    this.io = io;
+    this.workers = new Map(); // streamKey -> thumbnail worker
+    
+    if (!fs.existsSync(LIVE_THUMBNAIL_DIR)) {
+      fs.mkdirSync(LIVE_THUMBNAIL_DIR, { recursive: true });
+    }
+  }
+  
+  // Where the live thumbnail for a stream is kept
+  getThumbnailPath(streamId) {
+    return path.join(LIVE_THUMBNAIL_DIR, `${streamId}.jpg`);
+  }
+  
+  // Public URL of a stream's thumbnail
+  getThumbnailUrl(streamId) {
+    return `/api/streams/${streamId}/thumbnail.jpg`;
+  }
+  
+  // Start grabbing thumbnails for a live session
+  start(session, { isPrivate = false } = {}) {
+    const { streamKey } = session;
+    if (this.workers.has(streamKey)) return;
+    
+    const worker = {
+      streamKey,
+      streamId: session.streamId,
+      isPrivate,
+      command: null,
+      timer: null,
+      captureTimeout: null
+    };
+    this.workers.set(streamKey, worker);
+    
+    // First grab shortly after going live, then on the configured interval
+    worker.timer = setTimeout(() => {
+      this.capture(worker);
+      worker.timer = setInterval(() => this.capture(worker), config.thumbnails.liveInterval * 1000);
+    }, config.thumbnails.firstCaptureDelay * 1000);
+  }
+  
+  // Grab one frame; skipped while the previous grab is still running
+  capture(worker) {
+    if (worker.command) return;
+    
+    const thumbnailPath = this.getThumbnailPath(worker.streamId);
+    const tempPath = thumbnailPath.replace(/\.jpg$/, '.tmp.jpg');
+    
+    const command = ffmpeg()
+      .input(streamTokenService.internalPlayUrl(worker.streamKey))
+      .outputOptions([
+        '-frames:v 1',
+        `-vf scale=${config.thumbnails.width}:-2`,
+        '-q:v 3'
+      ])
+      .on('end', () => {
+        this.finishCapture(worker, command);
+        fs.promises.rename(tempPath, thumbnailPath)
+          .then(() => this.publish(worker))
+          .catch((error) => {
+            logger.error(`[THUMBNAIL] Failed to save thumbnail for ${worker.streamId}:`, error);
+          });
+      })
+      .on('error', (err) => {
+        this.finishCapture(worker, command);
+        logger.warn(`[THUMBNAIL] Capture failed for ${worker.streamId}`, { error: err.message });
+      });
+    
+    worker.command = command;
+    
+    // A stalled input would otherwise block every later grab
+    worker.captureTimeout = setTimeout(() => {
+      if (worker.command === command) command.kill('SIGKILL');
+    }, config.thumbnails.captureTimeout * 1000);
+    
+    command.save(tempPath);
+  }
+  
+  finishCapture(worker, command) {
+    if (worker.command !== command) return;
+    clearTimeout(worker.captureTimeout);
+    worker.command = null;
+  }
+  
+  // Record the new thumbnail and notify listeners
+  async publish(worker) {
+    const capturedAt = new Date();
+    const thumbnailUrl = this.getThumbnailUrl(worker.streamId);
+    
+    await Stream.updateOne({ _id: worker.streamId }, { thumbnailUrl });
+    
+    if (this.io) {
+      const event = {
+        streamId: worker.streamId,
+        // Cache-busting version so clients reload the image
+        thumbnailUrl: `${thumbnailUrl}?v=${capturedAt.getTime()}`,
+        capturedAt
+      };
+      
+      // Private streams only update viewers already in the room
+      if (worker.isPrivate) {
+        this.io.to(`stream:${worker.streamId}`).emit('stream-thumbnail-updated', event);
+      } else {
+        this.io.emit('stream-thumbnail-updated', event);
+      }
+    }
+  }
+  
+  // Keep a running worker's privacy in sync with the stream
+  setPrivate(streamKey, isPrivate) {
+    const worker = this.workers.get(streamKey);
+    if (worker) worker.isPrivate = isPrivate;
+  }
+  
+  // Stop grabbing thumbnails; the last one stays as the stream's thumbnail
+  stop(streamKey) {
+    const worker = this.workers.get(streamKey);
+    if (!worker) return false;
+    
+    clearTimeout(worker.timer);
+    clearInterval(worker.timer);
+    clearTimeout(worker.captureTimeout);
+    if (worker.command) {
+      worker.command.kill('SIGKILL');
+      worker.command = null;
+    }
+    
+    this.workers.delete(streamKey);
+    return true;
+  }
+}
+
+module.exports = LiveThumbnailService;
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+const PARTS_PLAYLIST = 'parts.m3u8';
+
+// Builds a Low-Latency HLS rendition from the short fMP4 fragments ffmpeg
+// writes to parts.m3u8. Every fragment is published as a partial segment
+// (EXT-X-PART) and each run of `partsPerSegment` fragments is concatenated
+// into a full segment, so the same files back the LL playlist (served with
+// blocking reload) and a regular index.m3u8 for players without LL support.
+class LowLatencyHlsPackager extends EventEmitter {
+  constructor({ dir, partTarget, partsPerSegment, windowSize, audioOnly }) {
+    super();
+    this.dir = dir;
+    this.partTarget = partTarget;
+    this.partsPerSegment = partsPerSegment;
+    this.windowSize = windowSize;
+    this.audioOnly = audioOnly;
+    
+    // Segment numbers continue from the start time so they keep increasing
+    // when the packager restarts after a publisher reconnect
+    this.sequenceBase = Math.floor(Date.now() / 1000);
+    this.firstPartNumber = null;
+    this.lastPartNumber = null;
+    this.segments = []; // [{ msn, parts: [{ number, duration, uri, independent }], duration, complete }]
+    this.timer = null;
+    this.polling = false;
+    
+    this.setMaxListeners(0); // one listener per blocked playlist request
+  }
+  
+  start() {
+    this.timer = setInterval(() => this.poll(), Math.max(50, (this.partTarget * 1000) / 4));
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.emit('update');
+  }
+  
+  // Pick up fragments ffmpeg has finished since the last poll
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    
+    try {
+      const playlist = await fs.promises.readFile(path.join(this.dir, PARTS_PLAYLIST), 'utf8')
+        .catch(() => null);
+      if (!playlist) return;
+      
+      const parts = this.parsePartsPlaylist(playlist)
+        .filter(part => this.lastPartNumber === null || part.number > this.lastPartNumber);
+      
+      for (const part of parts) {
+        await this.addPart(part);
+      }
+      
+      if (parts.length > 0) {
+        this.emit('update');
+      }
+    } catch (error) {
+      logger.error(`[LL-HLS] Failed to update ${this.dir}:`, error);
+    } finally {
+      this.polling = false;
+    }
+  }
+  
+  // Fragments listed in ffmpeg's playlist, with their sequence numbers
+  parsePartsPlaylist(playlist) {
+    const lines = playlist.split('\n').map(line => line.trim());
+    const sequenceLine = lines.find(line => line.startsWith('#EXT-X-MEDIA-SEQUENCE:'));
+    let number = sequenceLine ? parseInt(sequenceLine.split(':')[1], 10) : 0;
+    let duration = null;
+    const parts = [];
+    
+    for (const line of lines) {
+      if (line.startsWith('#EXTINF:')) {
+        duration = parseFloat(line.slice('#EXTINF:'.length));
+      } else if (line && !line.startsWith('#') && duration !== null) {
+        parts.push({ number, duration, uri: line });
+        number++;
+        duration = null;
+      }
+    }
+    
+    return parts;
+  }
+  
+  async addPart(part) {
+    if (this.firstPartNumber === null) {
+      this.firstPartNumber = part.number;
+    }
+    this.lastPartNumber = part.number;
+    
+    // Keyframes are forced on segment boundaries, so only the first part of
+    // a video segment can be decoded on its own
+    const index = part.number - this.firstPartNumber;
+    const msn = this.sequenceBase + Math.floor(index / this.partsPerSegment);
+    part.independent = this.audioOnly || index % this.partsPerSegment === 0;
+    
+    let segment = this.segments[this.segments.length - 1];
+    if (!segment || segment.msn !== msn) {
+      segment = { msn, parts: [], duration: 0, complete: false };
+      this.segments.push(segment);
+    }
+    segment.parts.push(part);
+    segment.duration += part.duration;
+    
+    if (segment.parts.length === this.partsPerSegment) {
+      await this.completeSegment(segment);
+    }
+  }
+  
+  // Concatenate a segment's fragments into its full segment file
+  async completeSegment(segment) {
+    const buffers = await Promise.all(
+      segment.parts.map(part => fs.promises.readFile(path.join(this.dir, part.uri)))
+    );
+    await fs.promises.writeFile(path.join(this.dir, this.segmentUri(segment)), Buffer.concat(buffers));
+    segment.complete = true;
+    
+    // Drop segments that have left the playlist window
+    const complete = this.segments.filter(s => s.complete);
+    const expired = complete.slice(0, Math.max(0, complete.length - this.windowSize - 1));
+    for (const old of expired) {
+      this.segments.splice(this.segments.indexOf(old), 1);
+      fs.promises.unlink(path.join(this.dir, this.segmentUri(old))).catch(() => {});
+    }
+    
+    await this.writeLegacyPlaylist();
+  }
+  
+  segmentUri(segment) {
+    return `seg_${segment.msn}.m4s`;
+  }
+  
+  // Segments currently in the playlist window
+  getWindow() {
+    const complete = this.segments.filter(segment => segment.complete).slice(-this.windowSize);
+    const pending = this.segments.filter(segment => !segment.complete);
+    return complete.concat(pending);
+  }
+  
+  getTargetDuration() {
+    return Math.ceil(this.partTarget * this.partsPerSegment);
+  }
+  
+  // Regular playlist of full segments for players without LL-HLS support
+  async writeLegacyPlaylist() {
+    const segments = this.getWindow().filter(segment => segment.complete);
+    if (segments.length === 0) return;
+    
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:7',
+      `#EXT-X-TARGETDURATION:${this.getTargetDuration()}`,
+      `#EXT-X-MEDIA-SEQUENCE:${segments[0].msn}`,
+      '#EXT-X-INDEPENDENT-SEGMENTS',
+      '#EXT-X-MAP:URI="init.mp4"'
+    ];
+    for (const segment of segments) {
+      lines.push(`#EXTINF:${segment.duration.toFixed(3)},`);
+      lines.push(this.segmentUri(segment));
+    }
+    
+    // Write then rename so the static playlist is never read half-written
+    const target = path.join(this.dir, 'index.m3u8');
+    await fs.promises.writeFile(`${target}.tmp`, lines.join('\n') + '\n');
+    await fs.promises.rename(`${target}.tmp`, target);
+  }
+  
+  // LL-HLS media playlist: full segments plus the parts of the most recent
+  // segments and a preload hint for the next part
+  renderPlaylist() {
+    const segments = this.getWindow();
+    if (segments.length === 0) return null;
+    
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:9',
+      `#EXT-X-TARGETDURATION:${this.getTargetDuration()}`,
+      `#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=${(this.partTarget * 3).toFixed(3)}`,
+      `#EXT-X-PART-INF:PART-TARGET=${this.partTarget.toFixed(3)}`,
+      `#EXT-X-MEDIA-SEQUENCE:${segments[0].msn}`,
+      '#EXT-X-INDEPENDENT-SEGMENTS',
+      '#EXT-X-MAP:URI="init.mp4"'
+    ];
+    
+    // Parts only need listing for roughly the last three target durations
+    const partsFrom = segments.length - 3;
+    
+    segments.forEach((segment, index) => {
+      if (index >= partsFrom) {
+        for (const part of segment.parts) {
+          const independent = part.independent ? ',INDEPENDENT=YES' : '';
+          lines.push(`#EXT-X-PART:DURATION=${part.duration.toFixed(3)},URI="${part.uri}"${independent}`);
+        }
+      }
+      if (segment.complete) {
+        lines.push(`#EXTINF:${segment.duration.toFixed(3)},`);
+        lines.push(this.segmentUri(segment));
+      }
+    });
+    
+    lines.push(`#EXT-X-PRELOAD-HINT:TYPE=PART,URI="${this.partUri(this.lastPartNumber + 1)}"`);
+    
+    return lines.join('\n') + '\n';
+  }
+  
+  partUri(number) {
+    return `part_${number}.m4s`;
+  }
+  
+  // Whether the playlist already holds segment `msn` (and its part `part`)
+  hasPart(msn, part) {
+    const segment = this.segments.find(s => s.msn === msn);
+    if (segment) {
+      return part === undefined ? segment.complete : segment.complete || segment.parts.length > part;
+    }
+    // Segments before the window have already been published
+    return this.segments.length > 0 && msn < this.segments[0].msn;
+  }
+  
+  // Newest media sequence number in the playlist
+  getLastMsn() {
+    const last = this.segments[this.segments.length - 1];
+    return last ? last.msn : null;
+  }
+  
+  // Resolve once `check` passes, or with false after `timeout` ms
+  waitFor(check, timeout) {
+    if (check()) return Promise.resolve(true);
+    
+    return new Promise((resolve) => {
+      const onUpdate = () => {
+        if (check() || !this.timer) {
+          finish(check());
+        }
+      };
+      const finish = (result) => {
+        clearTimeout(timer);
+        this.removeListener('update', onUpdate);
+        resolve(result);
+      };
+      const timer = setTimeout(() => finish(false), timeout);
+      this.on('update', onUpdate);
+    });
+  }
+  
+  // Blocking playlist reload: wait for the requested segment/part to exist
+  waitForPart(msn, part, timeout) {
+    return this.waitFor(() => this.hasPart(msn, part), timeout);
+  }
+  
+  // Hold a preload-hinted part request until ffmpeg has finished writing it
+  waitForFile(number, timeout) {
+    return this.waitFor(() => this.lastPartNumber !== null && this.lastPartNumber >= number, timeout);
+  }
+}
+
+LowLatencyHlsPackager.PARTS_PLAYLIST = PARTS_PLAYLIST;
+
+module.exports = LowLatencyHlsPackager;
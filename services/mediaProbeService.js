@@ -0,0 +1,161 @@
+const fs = require('fs');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('../config/config');
+
+// Files that can never be made playable; the job queue doesn't retry these
+const mediaError = message => Object.assign(new Error(message), { permanent: true });
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Describes what a media file actually contains (container, duration,
+// codecs, resolution, bitrates, audio layout, keyframe positions) and
+// rejects files that are empty, unreadable or have nothing to play
+class MediaProbeService {
+  // ffprobe metadata of a media file (path or URL)
+  probe(input) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(input, (err, metadata) => {
+        if (err) return reject(err);
+        resolve(metadata);
+      });
+    });
+  }
+
+  // Duration of a media file in seconds
+  async getDuration(input) {
+    const metadata = await this.probe(input);
+    return parseFloat(metadata.format.duration) || 0;
+  }
+
+  // Keyframe timestamps (seconds) of the first video stream, read from the
+  // packet flags so nothing has to be decoded
+  getKeyframes(input) {
+    return new Promise((resolve, reject) => {
+      const proc = spawn(process.env.FFPROBE_PATH || 'ffprobe', [
+        '-v', 'error',
+        '-select_streams', 'v:0',
+        '-show_entries', 'packet=pts_time,flags',
+        '-of', 'csv=p=0',
+        input
+      ]);
+
+      const keyframes = [];
+      readline.createInterface({ input: proc.stdout }).on('line', (line) => {
+        const [time, flags] = line.split(',');
+        const seconds = parseFloat(time);
+        if (flags && flags.includes('K') && Number.isFinite(seconds)) {
+          keyframes.push(round(seconds));
+        }
+      });
+
+      let stderr = '';
+      proc.stderr.on('data', (chunk) => {
+        stderr += chunk;
+      });
+      proc.on('error', reject);
+      proc.on('close', (code) => {
+        if (code !== 0) {
+          return reject(new Error(stderr.trim() || `ffprobe exited with code ${code}`));
+        }
+        resolve(keyframes.sort((a, b) => a - b));
+      });
+    });
+  }
+
+  // Probe a finished file. Resolves with the fields stored on a Recording
+  // (`size`, `duration`, codecs, dimensions, `media`, `keyframes`); rejects
+  // with a permanent error when the file is empty, corrupt or has no
+  // audio/video. Remote inputs (signed URLs) aren't failed permanently for
+  // read errors, which may be transient.
+  async analyze(input, { keyframes = true } = {}) {
+    const local = !/^https?:\/\//.test(input);
+    let size;
+
+    if (local) {
+      const stats = await fs.promises.stat(input).catch(() => null);
+      if (!stats || stats.size === 0) {
+        throw mediaError('Media file is empty or missing');
+      }
+      size = stats.size;
+    }
+
+    let metadata;
+    try {
+      metadata = await this.probe(input);
+    } catch (error) {
+      if (!local) throw error;
+      throw mediaError(`Media file is unreadable: ${error.message.split('\n')[0]}`);
+    }
+
+    const { format = {}, streams = [] } = metadata;
+    const video = streams.find(stream => stream.codec_type === 'video');
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+    const duration = parseFloat(format.duration) || 0;
+
+    if (!video && !audio) {
+      throw mediaError('Media file has no audio or video');
+    }
+    if (duration <= 0) {
+      throw mediaError('Media file has no duration');
+    }
+
+    const info = {
+      size: size || parseInt(format.size, 10) || undefined,
+      duration: round(duration),
+      videoCodec: video ? video.codec_name : undefined,
+      audioCodec: audio ? audio.codec_name : undefined,
+      width: video ? video.width : undefined,
+      height: video ? video.height : undefined,
+      media: {
+        container: format.format_name,
+        bitrate: parseInt(format.bit_rate, 10) || undefined,
+        videoProfile: video ? video.profile : undefined,
+        frameRate: video ? this.parseFrameRate(video.avg_frame_rate) : undefined,
+        videoBitrate: video ? parseInt(video.bit_rate, 10) || undefined : undefined,
+        pixelFormat: video ? video.pix_fmt : undefined,
+        audioChannels: audio ? audio.channels : undefined,
+        audioSampleRate: audio ? parseInt(audio.sample_rate, 10) || undefined : undefined,
+        audioBitrate: audio ? parseInt(audio.bit_rate, 10) || undefined : undefined,
+        probedAt: new Date()
+      }
+    };
+
+    if (keyframes && video) {
+      const positions = await this.getKeyframes(input);
+      if (positions.length === 0) {
+        throw mediaError('Video has no keyframes');
+      }
+
+      const intervals = positions.slice(1).map((time, i) => time - positions[i]);
+      info.keyframes = positions.slice(0, config.probe.maxKeyframes);
+      info.media.keyframeCount = positions.length;
+      if (intervals.length > 0) {
+        info.media.keyframeInterval = round(intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length);
+        info.media.maxKeyframeInterval = round(intervals.reduce((max, interval) => Math.max(max, interval), 0));
+      }
+    }
+
+    return info;
+  }
+
+  // Whether a probed duration is further from the expected one than
+  // config.probe tolerates
+  isDurationMismatch(expected, actual) {
+    const { durationTolerance, durationToleranceRatio } = config.probe;
+    return Math.abs(actual - expected) > Math.max(durationTolerance, expected * durationToleranceRatio);
+  }
+
+  // ffprobe frame rates are fractions, e.g. '30000/1001'
+  parseFrameRate(rate) {
+    const [numerator, denominator] = String(rate || '').split('/').map(Number);
+    if (!numerator || !denominator) return undefined;
+    return round(numerator / denominator, 2);
+  }
+}
+
+// Create a singleton instance
+const mediaProbeService = new MediaProbeService();
+
+module.exports = mediaProbeService;
@@ -0,0 +1,259 @@
+const dns = require('dns');
+const net = require('net');
+const ffmpeg = require('fluent-ffmpeg');
+const PullSource = require('../models/PullSource');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const streamTokenService = require('./streamTokenService');
+
+// Loopback, private, link-local, shared, reserved and multicast ranges a
+// source may not reach, so a streamer can't make the server fetch from its
+// own network
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Exceptions from config.pullIngest.allowedHosts: host names, and addresses
+// or ranges
+const ALLOWED_NAMES = new Set();
+const ALLOWED_RANGES = new net.BlockList();
+config.pullIngest.allowedHosts.forEach((entry) => {
+  const [address, prefix] = entry.split('/');
+  const family = net.isIP(address);
+  if (!family) {
+    ALLOWED_NAMES.add(entry.toLowerCase());
+  } else if (prefix !== undefined) {
+    ALLOWED_RANGES.addSubnet(address, parseInt(prefix, 10), `ipv${family}`);
+  } else {
+    ALLOWED_RANGES.addAddress(address, `ipv${family}`);
+  }
+});
+
+// Errors the caller should report to the client with `status`. `retryable`
+// ones (the host didn't resolve) may succeed on a later attempt.
+const pullError = (message, status, retryable = false) => Object.assign(new Error(message), { status, retryable });
+
+// Check an IP against a list, reading IPv4-mapped IPv6 addresses as IPv4
+const matches = (list, address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return list.check(mapped[1], 'ipv4');
+  return list.check(address, `ipv${net.isIP(address)}`);
+};
+
+// Pulls external RTMP/HLS sources into the `live` app. Each pull publishes to
+// the local server with a signed publish token, so it goes through the same
+// prePublish/postPublish/donePublish lifecycle as an encoder would.
+class PullIngestService {
+  constructor(io) {
+    this.io = io;
+    this.pulls = new Map(); // pull source id -> pull state
+  }
+  
+  // Start pulling a source into its stream
+  start(source, stream) {
+    const sourceId = source._id.toString();
+    
+    if (this.pulls.has(sourceId)) {
+      return this.pulls.get(sourceId);
+    }
+    
+    const pull = {
+      sourceId,
+      name: source.name,
+      url: source.url,
+      type: source.type,
+      userId: source.user,
+      streamId: stream._id,
+      streamKey: stream.streamKey,
+      status: 'connecting',
+      attempts: 0,
+      lastError: null,
+      command: null,
+      retryTimer: null,
+      stopped: false
+    };
+    this.pulls.set(sourceId, pull);
+    
+    this.spawn(pull);
+    return pull;
+  }
+  
+  // Resolve a source URL's host and reject it if any address it resolves
+  // to is private or local, unless config.pullIngest.allowedHosts lets it
+  async checkSourceUrl(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    } catch (error) {
+      throw pullError('Invalid source URL', 400);
+    }
+    
+    if (ALLOWED_NAMES.has(hostname)) return;
+    
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+      } catch (error) {
+        throw pullError(`Could not resolve ${hostname}`, 400, true);
+      }
+    }
+    
+    const blocked = addresses.find(address => matches(PRIVATE_RANGES, address) && !matches(ALLOWED_RANGES, address));
+    if (blocked) {
+      throw pullError('Sources must be on a public address', 400);
+    }
+  }
+  
+  // Check the source, then start ffmpeg. It's checked before every attempt
+  // since its host may resolve somewhere else by now.
+  spawn(pull) {
+    this.setStatus(pull, pull.attempts > 0 ? 'retrying' : 'connecting');
+    
+    this.checkSourceUrl(pull.url).then(
+      () => {
+        if (!pull.stopped) this.run(pull);
+      },
+      (error) => {
+        if (pull.stopped) return;
+        
+        if (error.retryable) {
+          this.retry(pull, error.message);
+          return;
+        }
+        
+        pull.lastError = error.message;
+        logger.warn(`[PULL] Source ${pull.sourceId} refused: ${error.message}`, { url: pull.url });
+        this.pulls.delete(pull.sourceId);
+        this.setStatus(pull, 'failed');
+      }
+    );
+  }
+  
+  // Run ffmpeg copying the source into rtmp://localhost/live/<streamKey>
+  run(pull) {
+    const { token } = streamTokenService.sign({
+      streamKey: pull.streamKey,
+      action: 'publish',
+      userId: pull.userId
+    });
+    const outputUrl = `rtmp://localhost/live/${pull.streamKey}?token=${token}`;
+    
+    // HLS is read at native rate; RTMP sources are already paced by the sender
+    const inputOptions = pull.type === 'hls' ? ['-re'] : [];
+    
+    const command = ffmpeg()
+      .input(pull.url)
+      .inputOptions(inputOptions)
+      .outputOptions([
+        '-c copy', // Publish as-is, transcoding happens downstream
+        '-f flv'
+      ])
+      .on('progress', () => {
+        if (pull.status !== 'live') {
+          pull.attempts = 0;
+          pull.lastError = null;
+          this.setStatus(pull, 'live');
+        }
+      })
+      .on('error', (err) => this.handleExit(pull, command, err, outputUrl))
+      .on('end', () => this.handleExit(pull, command, new Error('Source ended'), outputUrl));
+    
+    pull.command = command;
+    command.save(outputUrl);
+  }
+  
+  // Called when a pull's ffmpeg exits
+  handleExit(pull, command, error, outputUrl) {
+    if (pull.command !== command) return;
+    pull.command = null;
+    
+    if (pull.stopped) return;
+    
+    // ffmpeg errors include the output URL and its publish token
+    this.retry(pull, error.message.split(outputUrl).join(`rtmp://localhost/live/${pull.streamKey}`));
+  }
+  
+  // Retry a dropped source with exponential backoff until maxRetries is reached
+  retry(pull, message) {
+    pull.lastError = message;
+    pull.attempts++;
+    
+    if (pull.attempts > config.pullIngest.maxRetries) {
+      logger.error(`[PULL] Source ${pull.sourceId} failed`, { error: pull.lastError });
+      this.pulls.delete(pull.sourceId);
+      this.setStatus(pull, 'failed');
+      return;
+    }
+    
+    const delay = Math.min(config.pullIngest.retryDelay * 1000 * Math.pow(2, pull.attempts - 1), 60 * 1000);
+    logger.warn(`[PULL] Source ${pull.sourceId} dropped, retrying in ${delay / 1000}s`, {
+      attempt: pull.attempts,
+      error: pull.lastError
+    });
+    
+    this.setStatus(pull, 'retrying');
+    pull.retryTimer = setTimeout(() => {
+      pull.retryTimer = null;
+      if (!pull.stopped) {
+        this.spawn(pull);
+      }
+    }, delay);
+  }
+  
+  // Stop pulling a source; the publisher disconnect ends the broadcast as usual
+  stop(sourceId) {
+    const pull = this.pulls.get(sourceId.toString());
+    if (!pull) return false;
+    
+    pull.stopped = true;
+    clearTimeout(pull.retryTimer);
+    if (pull.command) {
+      pull.command.kill('SIGTERM');
+      pull.command = null;
+    }
+    
+    this.pulls.delete(pull.sourceId);
+    this.setStatus(pull, 'stopped');
+    return true;
+  }
+  
+  // Runtime status of a source, or null when it isn't being pulled
+  getStatus(sourceId) {
+    const pull = this.pulls.get(sourceId.toString());
+    return pull ? { status: pull.status, attempts: pull.attempts, lastError: pull.lastError } : null;
+  }
+  
+  // Record a status change and tell the owner
+  setStatus(pull, status) {
+    pull.status = status;
+    
+    const update = { status, attempts: pull.attempts, lastError: pull.lastError };
+    if (status === 'live') update.lastStartedAt = new Date();
+    if (status === 'stopped' || status === 'failed') update.lastStoppedAt = new Date();
+    
+    PullSource.updateOne({ _id: pull.sourceId }, update).catch((error) => {
+      logger.error(`[PULL] Failed to save status for source ${pull.sourceId}:`, error);
+    });
+    
+    if (this.io) {
+      this.io.to(`user:${pull.userId}`).emit('pull-source-status', {
+        sourceId: pull.sourceId,
+        streamId: pull.streamId,
+        status,
+        attempts: pull.attempts,
+        error: pull.lastError
+      });
+    }
+  }
+}
+
+module.exports = PullIngestService;
@@ -1,20 +1,86 @@
 const fs = require('fs');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
-const { v4: uuidv4 } = require('uuid');
 const config = require('../config/config');
+const Recording = require('../models/Recording');
+const Stream = require('../models/Stream');
+const Export = require('../models/Export');
+const streamTokenService = require('./streamTokenService');
+const storageService = require('./storageService');
+const jobQueue = require('./jobQueue');
+const mediaProbeService = require('./mediaProbeService');
+const Job = require('../models/Job');
 
 class RecordingService {
   constructor() {
     this.recordings = new Map();
+    this.heartbeatTimer = null;
     this.ensureDirectoriesExist();
   }
 
+  // Keep this node's claim on its recordings fresh and take over those of
+  // nodes that stop responding. Resolves once the first recovery pass is done.
+  start() {
+    if (this.heartbeatTimer) return Promise.resolve();
+
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch((err) => {
+        console.error('Recording heartbeat failed:', err);
+      });
+    }, config.jobs.heartbeatInterval * 1000);
+
+    return this.recoverRecordings();
+  }
+
+  stop() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  async heartbeat() {
+    const ids = Array.from(this.recordings.values(), recording => recording.id);
+    if (ids.length > 0) {
+      await Recording.updateMany(
+        { _id: { $in: ids }, lockedBy: jobQueue.workerId },
+        { lockedAt: new Date() }
+      );
+    }
+
+    await this.recoverRecordings();
+  }
+
+  // Post-processing runs on the job queue: `recording.finalize` makes a
+  // finished recording playable, then `recording.thumbnail` adds its
+  // thumbnail and preview sprites
+  registerJobs() {
+    jobQueue.register('recording.finalize', (job, context) => this.runFinalizeJob(job, context), {
+      onFailed: (job, error) => Recording.updateOne(
+        { _id: job.payload.recordingId },
+        { status: 'failed', error: error.message }
+      )
+    });
+    jobQueue.register('recording.thumbnail', (job, context) => this.runThumbnailJob(job, context));
+  }
+
+  // Queue post-processing of a recording whose capture has ended
+  queueFinalize(recording) {
+    return jobQueue.enqueue('recording.finalize', {
+      recordingId: recording.id,
+      streamKey: recording.streamKey,
+      streamId: recording.streamId,
+      filename: recording.filename,
+      path: recording.path
+    }, { key: `recording.finalize:${recording.id}` }).catch((err) => {
+      console.error(`Error queueing post-processing for recording ${recording.id}:`, err);
+    });
+  }
+
   ensureDirectoriesExist() {
     const dirs = [
       path.join(__dirname, '../recordings'),
       path.join(__dirname, '../recordings/videos'),
-      path.join(__dirname, '../recordings/thumbnails')
+      path.join(__dirname, '../recordings/thumbnails'),
+      path.join(__dirname, '../recordings/vod')
     ];
 
     dirs.forEach(dir => {
@@ -24,62 +90,213 @@ class RecordingService {
     });
   }
 
-  // Start recording a stream
-  startRecording(streamKey, userId) {
+  // Start recording a stream, cataloguing it as a Recording
+  startRecording(streamKey, userId, { streamId, title, isPrivate } = {}) {
     if (this.recordings.has(streamKey)) {
       console.log(`Recording already in progress for stream: ${streamKey}`);
       return false;
     }
 
-    const recordingId = uuidv4();
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const startTime = new Date();
+    const doc = new Recording({
+      user: userId,
+      stream: streamId,
+      title,
+      isPrivate: !!isPrivate,
+      startedAt: startTime,
+      lockedBy: jobQueue.workerId,
+      lockedAt: startTime
+    });
+    const recordingId = doc._id.toString();
+    const timestamp = startTime.toISOString().replace(/[:.]/g, '-');
     const filename = `${userId}_${timestamp}_${recordingId}.mp4`;
     const outputPath = path.join(__dirname, `../recordings/videos/${filename}`);
+
+    doc.filename = filename;
+    doc.path = outputPath;
+    doc.save().catch((err) => {
+      console.error(`Error saving recording ${recordingId}:`, err);
+    });
     
+    // Store recording info
+    const recording = {
+      id: recordingId,
+      streamKey,
+      streamId,
+      userId,
+      filename,
+      path: outputPath,
+      segmentDir: this.getSegmentDir(recordingId),
+      runs: 0,
+      restarts: 0,
+      restartTimer: null,
+      gap: null,
+      gapSeconds: 0,
+      startTime,
+      command: null,
+      paused: false,
+      stopping: false
+    };
+    this.recordings.set(streamKey, recording);
+
+    fs.mkdirSync(recording.segmentDir, { recursive: true });
+    this.startRun(recording);
+
+    return true;
+  }
+
+  // Directory a recording's segments are written to while it's live
+  getSegmentDir(recordingId) {
+    return path.join(__dirname, `../recordings/videos/${recordingId}`);
+  }
+
+  // Spawn ffmpeg to record into time-bounded segments. Every run (the first,
+  // after a publisher reconnect, or after ffmpeg dies) numbers its segments
+  // under its own prefix so they sort in recording order; segments are
+  // fragmented MP4, so everything written before a crash stays playable.
+  startRun(recording) {
+    const { streamKey } = recording;
+    const run = recording.runs++;
+    const pattern = path.join(recording.segmentDir, `${String(run).padStart(3, '0')}_%05d.mp4`);
+
     // RTMP input URL
-    const inputUrl = `rtmp://localhost/live/${streamKey}`;
+    const inputUrl = streamTokenService.internalPlayUrl(streamKey);
     
     // FFmpeg command to record the stream
     const command = ffmpeg()
       .input(inputUrl)
-      .inputOptions([
-        '-re', // Read input at native frame rate
-        '-timeout 3000000' // 3000 seconds timeout
-      ])
+      // Live input arrives in real time; give up on it after 5s of silence
+      // so a stalled run exits and is restarted
+      .inputOptions(['-rw_timeout 5000000'])
       .outputOptions([
+        '-map 0:v?',
+        '-map 0:a?',
         '-c:v copy', // Copy video codec
         '-c:a aac', // Convert audio to AAC
-        '-f mp4', // Output format
-        '-movflags frag_keyframe+empty_moov', // For streaming output
-        '-reset_timestamps 1' // Reset timestamps for better seeking
+        '-f segment',
+        `-segment_time ${config.recording.segmentDuration}`,
+        '-segment_format mp4',
+        '-segment_format_options movflags=frag_keyframe+empty_moov', // Playable up to the last fragment
+        '-reset_timestamps 1' // Each segment starts at zero; they're concatenated in order
       ])
       .on('start', () => {
-        console.log(`Started recording: ${streamKey}`);
+        console.log(`Started recording: ${streamKey} (run ${run})`);
+        this.closeGap(recording);
       })
       .on('error', (err) => {
-        console.error(`Recording error for ${streamKey}:`, err);
-        this.stopRecording(streamKey);
+        console.error(`Recording error for ${streamKey}:`, err.message);
+        this.handleRunExit(recording, command, err);
       })
       .on('end', () => {
-        console.log(`Recording finished: ${streamKey}`);
-        this.recordings.delete(streamKey);
-        
-        // Generate thumbnail after recording ends
-        this.generateThumbnail(outputPath, recordingId, streamKey);
+        console.log(`Recording run finished: ${streamKey} (run ${run})`);
+        this.handleRunExit(recording, command, null);
       })
-      .save(outputPath);
+      .save(pattern);
 
-    // Store recording info
-    this.recordings.set(streamKey, {
-      id: recordingId,
-      streamKey,
-      userId,
-      filename,
-      path: outputPath,
-      startTime: new Date(),
-      command
-    });
+    recording.command = command;
+  }
+
+  // Called whenever a run's ffmpeg process exits. Unless the recording is
+  // stopping or paused for a reconnect, ffmpeg died mid-broadcast, so it is
+  // restarted after a short delay and the missing time is recorded as a gap.
+  handleRunExit(recording, command, error) {
+    if (recording.command !== command) return;
+
+    recording.command = null;
+
+    if (recording.stopping) {
+      this.queueFinalize(recording);
+      return;
+    }
+    if (recording.paused) return;
+
+    this.openGap(recording, error ? 'crash' : 'input-ended');
+
+    const { maxRestarts, restartDelay } = config.recording;
+    if (recording.restarts >= maxRestarts) {
+      console.error(`Recording for ${recording.streamKey} failed ${maxRestarts} times; giving up until the publisher reconnects`);
+      return;
+    }
 
+    recording.restarts++;
+    recording.restartTimer = setTimeout(() => {
+      recording.restartTimer = null;
+      if (!recording.stopping && !recording.paused && !recording.command) {
+        this.startRun(recording);
+      }
+    }, restartDelay * 1000);
+  }
+
+  // Note when recording stopped capturing the broadcast
+  openGap(recording, reason) {
+    if (recording.gap) return;
+    recording.gap = { startedAt: new Date(), reason };
+  }
+
+  // Capture resumed: store the gap with where it falls in the final file
+  closeGap(recording) {
+    const { gap } = recording;
+    if (!gap) return;
+
+    recording.gap = null;
+    gap.endedAt = new Date();
+    gap.offset = Math.max(0, Math.round((gap.startedAt - recording.startTime) / 1000 - recording.gapSeconds));
+    recording.gapSeconds += (gap.endedAt - gap.startedAt) / 1000;
+
+    Recording.updateOne({ _id: recording.id }, { $push: { gaps: gap } })
+      .catch((err) => console.error(`Error saving gap for recording ${recording.id}:`, err));
+  }
+
+  // Ask a running ffmpeg process to finish its current segment
+  stopCommand(command) {
+    const proc = command && command.ffmpegProc;
+    if (!proc || proc.exitCode !== null) return;
+
+    if (proc.stdin.writable) {
+      proc.stdin.write('q');
+    } else {
+      command.kill('SIGINT');
+    }
+  }
+
+  // Pause a recording while the publisher is reconnecting
+  pauseRecording(streamKey) {
+    const recording = this.recordings.get(streamKey);
+    if (!recording || recording.paused) return false;
+
+    recording.paused = true;
+    this.openGap(recording, 'reconnect');
+    clearTimeout(recording.restartTimer);
+    recording.restartTimer = null;
+    this.stopCommand(recording.command);
+
+    console.log(`Paused recording: ${streamKey}`);
+    return true;
+  }
+
+  // Resume a paused recording into a new run
+  resumeRecording(streamKey) {
+    const recording = this.recordings.get(streamKey);
+    if (!recording || !recording.paused) return false;
+
+    recording.paused = false;
+    recording.restarts = 0;
+
+    // Let the previous run flush before starting the next one, unless the
+    // recording stopped, paused again or got a run in the meantime
+    if (recording.command) {
+      const previous = recording.command;
+      const startNext = () => {
+        if (recording.stopping || recording.paused || recording.command) return;
+        this.startRun(recording);
+      };
+      previous.once('end', startNext);
+      previous.once('error', startNext);
+    } else {
+      this.startRun(recording);
+    }
+
+    console.log(`Resumed recording: ${streamKey}`);
     return true;
   }
 
@@ -88,22 +305,290 @@ class RecordingService {
     const recording = this.recordings.get(streamKey);
     if (!recording) return false;
 
-    recording.command.ffmpegProc.stdin.write('q');
+    recording.stopping = true;
     this.recordings.delete(streamKey);
+    clearTimeout(recording.restartTimer);
+    recording.restartTimer = null;
+
+    Recording.updateOne({ _id: recording.id }, { status: 'processing', endedAt: new Date(), lockedAt: new Date() })
+      .catch((err) => console.error(`Error updating recording ${recording.id}:`, err));
+
+    if (recording.command) {
+      this.stopCommand(recording.command);
+    } else {
+      this.queueFinalize(recording);
+    }
     
     console.log(`Stopped recording: ${streamKey}`);
     return true;
   }
 
+  // Job: make a finished recording playable. Its segments are joined into
+  // one faststart MP4, probed and packaged as VOD HLS, then handed to
+  // storage, and the catalogue entry is marked ready. Failures are retried
+  // by the queue; once out of attempts (or straight away, for an empty or
+  // corrupt file) the recording is marked failed.
+  async runFinalizeJob(job, context) {
+    const { recordingId, streamKey, streamId, filename } = job.payload;
+    const recording = {
+      id: recordingId,
+      streamKey,
+      streamId,
+      filename,
+      path: job.payload.path,
+      segmentDir: this.getSegmentDir(recordingId)
+    };
+
+    await Recording.updateOne({ _id: recordingId }, { status: 'processing', $unset: { error: 1 } });
+
+    context.log('Joining segments');
+    await this.concatenateSegments(recording.segmentDir, recording.path, context);
+    context.progress(30);
+
+    console.log(`Recording finished: ${streamKey || recordingId}`);
+    context.log('Probing');
+    const info = await mediaProbeService.analyze(recording.path);
+    const doc = await Recording.findById(recordingId).select('startedAt endedAt gaps');
+    const expectedDuration = doc ? this.getExpectedDuration(doc) : undefined;
+    const durationMismatch = expectedDuration !== undefined &&
+      mediaProbeService.isDurationMismatch(expectedDuration, info.duration);
+    if (durationMismatch) {
+      context.log(`Duration ${info.duration}s differs from the expected ${expectedDuration}s`, 'warn');
+      console.warn(`Recording ${recordingId} is ${info.duration}s long, expected ${expectedDuration}s`);
+    }
+    context.progress(35);
+
+    context.log('Packaging VOD HLS');
+    await this.packageVod(recording.path, recordingId, info.videoCodec, context);
+
+    context.log('Storing');
+    const storage = await this.storeRecording(recording);
+    context.progress(100);
+
+    await Recording.updateOne({ _id: recordingId }, {
+      ...info,
+      expectedDuration,
+      durationMismatch,
+      storage: storage.name,
+      status: 'ready'
+    });
+
+    // Remote drivers hold copies; the working files are no longer needed
+    if (!storage.getLocalPath(`videos/${filename}`)) {
+      await this.removeLocalFiles(recordingId, recording.path);
+    }
+
+    if (streamId) {
+      await Stream.updateOne({ _id: streamId }, { recordingUrl: `/api/recordings/${recordingId}` });
+    }
+
+    await jobQueue.enqueue('recording.thumbnail', { recordingId }, { key: `recording.thumbnail:${recordingId}` });
+    return { size: info.size, duration: info.duration, expectedDuration, durationMismatch };
+  }
+
+  // Seconds of broadcast a recording should hold: its wall-clock span less
+  // the gaps in capture. Undefined while it hasn't ended.
+  getExpectedDuration(recording) {
+    if (!recording.startedAt || !recording.endedAt) return undefined;
+
+    const gapSeconds = (recording.gaps || []).reduce((total, gap) => {
+      const endedAt = gap.endedAt || recording.endedAt;
+      return total + Math.max(0, (endedAt - gap.startedAt) / 1000);
+    }, 0);
+    return Math.max(0, Math.round((recording.endedAt - recording.startedAt) / 1000 - gapSeconds));
+  }
+
+  // Job: generate a ready recording's thumbnail and preview sprites from its
+  // stored video and store them alongside it
+  async runThumbnailJob(job, context) {
+    const recording = await Recording.findById(job.payload.recordingId);
+    if (!recording || recording.status !== 'ready') {
+      context.log('Recording was deleted or is not ready; nothing to do');
+      return null;
+    }
+
+    const id = recording._id.toString();
+    const storage = storageService.driver(recording.storage);
+    const videoKey = `videos/${recording.filename}`;
+    // Remote recordings are read straight from a signed URL
+    const input = storage.getLocalPath(videoKey) || await storage.getSignedUrl(videoKey);
+
+    const thumbnailPath = await this.generateThumbnail(input, id, context);
+    context.progress(20);
+    await this.generateSprites(input, id, context);
+
+    // Sprite sheets and the WebVTT index
+    const thumbnailsDir = path.dirname(thumbnailPath);
+    const sprites = (await fs.promises.readdir(thumbnailsDir))
+      .filter(file => file.startsWith(`${id}_sprite`));
+
+    await storage.put(`thumbnails/${id}.jpg`, thumbnailPath);
+    for (const file of sprites) {
+      await storage.put(`thumbnails/${file}`, path.join(thumbnailsDir, file));
+    }
+    if (!storage.getLocalPath(videoKey)) {
+      await Promise.all([thumbnailPath, ...sprites.map(file => path.join(thumbnailsDir, file))]
+        .map(file => fs.promises.rm(file, { force: true })));
+    }
+
+    const recordingUrl = `/api/recordings/${id}`;
+    const thumbnailUrl = `${recordingUrl}/thumbnail.jpg`;
+    await Recording.updateOne({ _id: id }, { thumbnailUrl });
+    await Stream.updateOne({ _id: recording.stream, recordingUrl }, { thumbnailUrl });
+
+    return { thumbnailUrl };
+  }
+
+  // Concatenate a recording's segments, in recording order, into one
+  // faststart MP4 and remove them. Empty segments (e.g. cut off by a crash
+  // before their first fragment) are skipped.
+  async concatenateSegments(segmentDir, outputPath, context) {
+    const files = (await fs.promises.readdir(segmentDir).catch(() => []))
+      .filter(file => /^\d+_\d+\.mp4$/.test(file))
+      .sort();
+
+    const segments = [];
+    for (const file of files) {
+      const { size } = await fs.promises.stat(path.join(segmentDir, file));
+      if (size > 0) segments.push(path.join(segmentDir, file));
+    }
+
+    if (segments.length === 0) {
+      // Already joined, e.g. when recovering after a restart mid-finalisation
+      if (fs.existsSync(outputPath)) return outputPath;
+      // Nothing was captured; retrying won't change that
+      throw Object.assign(new Error('Recording has no segments'), { permanent: true });
+    }
+
+    const listPath = path.join(segmentDir, 'segments.txt');
+    const tempPath = outputPath.replace(/\.mp4$/, '_joined.mp4');
+
+    await fs.promises.writeFile(listPath, segments.map(segment => `file '${segment}'`).join('\n'));
+
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg()
+        .input(listPath)
+        .inputOptions(['-f concat', '-safe 0'])
+        .outputOptions(['-c copy', '-movflags +faststart'])
+        .on('end', resolve)
+        .on('error', (err) => {
+          fs.rmSync(tempPath, { force: true });
+          reject(err);
+        });
+      context.track(command, { from: 0, to: 30 }).save(tempPath);
+    });
+
+    await fs.promises.rename(tempPath, outputPath);
+    await fs.promises.rm(segmentDir, { recursive: true, force: true });
+    return outputPath;
+  }
+
+  // Queue post-processing for recordings cut off mid-capture: this node's
+  // own, and those of nodes that stopped heartbeating (like a stale job's
+  // lock, after config.jobs.staleAfter). Recordings other live nodes are
+  // capturing, or with post-processing already queued or running, are left
+  // alone.
+  async recoverRecordings() {
+    const active = new Set(Array.from(this.recordings.values(), recording => recording.id));
+    const cutoff = new Date(Date.now() - config.jobs.staleAfter * 1000);
+    const claimable = {
+      status: { $in: ['recording', 'processing'] },
+      $or: [
+        { lockedBy: jobQueue.workerId },
+        { lockedAt: { $lt: cutoff } },
+        // Recorded before ownership was tracked
+        { lockedAt: { $exists: false } }
+      ]
+    };
+    const interrupted = await Recording.find(claimable);
+
+    for (const doc of interrupted) {
+      const id = doc._id.toString();
+      if (active.has(id)) continue;
+
+      const queued = await Job.exists({ key: `recording.finalize:${id}`, status: { $in: ['queued', 'running'] } });
+      if (queued) continue;
+
+      // Another node may be recovering it at the same time
+      const claimed = await Recording.findOneAndUpdate(
+        { _id: id, ...claimable },
+        {
+          status: 'processing',
+          endedAt: doc.endedAt || doc.updatedAt,
+          lockedBy: jobQueue.workerId,
+          lockedAt: new Date()
+        }
+      );
+      if (!claimed) continue;
+
+      console.log(`Recovering interrupted recording: ${id}${doc.lockedBy ? ` (from ${doc.lockedBy})` : ''}`);
+      await this.queueFinalize({
+        id,
+        streamId: doc.stream,
+        filename: doc.filename,
+        path: doc.path
+      });
+    }
+  }
+
+  // Upload (or, for local storage, leave in place) a finished recording's
+  // video and VOD package
+  async storeRecording(recording) {
+    const storage = storageService.driver();
+
+    await storage.put(`videos/${recording.filename}`, recording.path);
+    await storage.putDirectory(`vod/${recording.id}`, this.getVodDir(recording.id));
+
+    if (storage.name !== 'local') {
+      console.log(`Uploaded recording ${recording.id} to ${storage.name} storage`);
+    }
+    return storage;
+  }
+
+  // Directory a recording's VOD HLS package is written to
+  getVodDir(recordingId) {
+    return path.join(__dirname, `../recordings/vod/${recordingId}`);
+  }
+
+  // Package a recording as a single-rendition VOD HLS playlist, copying
+  // the streams into segments cut on keyframes
+  async packageVod(videoPath, recordingId, videoCodec, context) {
+    const outputDir = this.getVodDir(recordingId);
+    // HEVC isn't carried in MPEG-TS by most players
+    const fmp4 = videoCodec === 'hevc';
+
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+    await fs.promises.mkdir(outputDir, { recursive: true });
+
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(videoPath)
+        .outputOptions([
+          '-c copy',
+          ...(fmp4 ? ['-tag:v hvc1', '-hls_segment_type fmp4', '-hls_fmp4_init_filename init.mp4'] : []),
+          '-f hls',
+          `-hls_time ${config.vod.hlsTime}`,
+          '-hls_playlist_type vod',
+          '-hls_flags independent_segments',
+          `-hls_segment_filename ${path.join(outputDir, fmp4 ? 'seg_%d.m4s' : 'seg_%d.ts')}`
+        ])
+        .on('end', resolve)
+        .on('error', reject);
+      context.track(command, { from: 30, to: 80 }).save(path.join(outputDir, 'index.m3u8'));
+    });
+
+    console.log(`Packaged VOD HLS for recording: ${recordingId}`);
+    return outputDir;
+  }
+
   // Generate a thumbnail from the recording
-  async generateThumbnail(videoPath, recordingId, streamKey) {
+  async generateThumbnail(videoPath, recordingId, context) {
     const thumbnailPath = path.join(
       __dirname, 
       `../recordings/thumbnails/${recordingId}.jpg`
     );
 
     return new Promise((resolve, reject) => {
-      ffmpeg(videoPath)
+      const command = ffmpeg(videoPath)
         .screenshots({
           timestamps: ['10%'], // Take a thumbnail at 10% of the video
           filename: `${recordingId}.jpg`,
@@ -118,68 +603,193 @@ class RecordingService {
           console.error('Thumbnail generation error:', err);
           reject(err);
         });
+      context.track(command, { from: 0, to: 20 });
     });
   }
 
+  // Generate scrub-bar preview sprite sheets and the WebVTT file indexing
+  // them (`<id>_sprites.vtt`, cues pointing at `<sheet>.jpg#xywh=x,y,w,h`)
+  async generateSprites(videoPath, recordingId, context) {
+    const {
+      spriteInterval: interval,
+      spriteWidth: width,
+      spriteHeight: height,
+      spriteColumns: columns,
+      spriteRows: rows
+    } = config.thumbnails;
+    const folder = path.join(__dirname, '../recordings/thumbnails');
+    const duration = await mediaProbeService.getDuration(videoPath);
+    const frames = Math.max(1, Math.ceil(duration / interval));
+    const perSheet = columns * rows;
+
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(videoPath)
+        .outputOptions([
+          `-vf fps=1/${interval},scale=${width}:${height},tile=${columns}x${rows}`,
+          '-q:v 5',
+          '-start_number 0'
+        ])
+        .on('end', resolve)
+        .on('error', reject);
+      context.track(command, { from: 20, to: 90 }).save(path.join(folder, `${recordingId}_sprite_%d.jpg`));
+    });
+
+    const cues = ['WEBVTT', ''];
+    for (let i = 0; i < frames; i++) {
+      const sheet = Math.floor(i / perSheet);
+      const index = i % perSheet;
+      const x = (index % columns) * width;
+      const y = Math.floor(index / columns) * height;
+
+      cues.push(`${this.formatVttTime(i * interval)} --> ${this.formatVttTime(Math.min((i + 1) * interval, duration))}`);
+      cues.push(`${recordingId}_sprite_${sheet}.jpg#xywh=${x},${y},${width},${height}`);
+      cues.push('');
+    }
+
+    const vttPath = path.join(folder, `${recordingId}_sprites.vtt`);
+    await fs.promises.writeFile(vttPath, cues.join('\n'));
+
+    console.log(`Generated preview sprites for recording: ${recordingId}`);
+    return vttPath;
+  }
+
+  // Delete a recording's local working files: its video (and any leftover
+  // segments), thumbnail, preview sprites and VOD package
+  async removeLocalFiles(recordingId, videoPath) {
+    const thumbnailsDir = path.join(__dirname, '../recordings/thumbnails');
+    const sprites = (await fs.promises.readdir(thumbnailsDir).catch(() => []))
+      .filter(file => file.startsWith(`${recordingId}_sprite`));
+
+    const files = [
+      videoPath,
+      this.getSegmentDir(recordingId),
+      path.join(thumbnailsDir, `${recordingId}.jpg`),
+      ...sprites.map(file => path.join(thumbnailsDir, file)),
+      this.getVodDir(recordingId)
+    ];
+
+    await Promise.all(files.map(file => fs.promises.rm(file, { recursive: true, force: true })));
+  }
+
+  // Delete a recording's files from wherever they're stored
+  async deleteRecordingFiles(recording) {
+    const id = recording._id.toString();
+
+    if (recording.status === 'ready') {
+      const storage = storageService.driver(recording.storage);
+      await Promise.all([
+        storage.delete(`videos/${recording.filename}`),
+        storage.delete(`thumbnails/${id}.jpg`),
+        storage.deletePrefix(`thumbnails/${id}_sprite`),
+        storage.deletePrefix(`vod/${id}/`)
+      ]);
+    }
+
+    await this.removeLocalFiles(id, recording.path);
+  }
+
+  // Delete a finished recording: its files, its exports, its catalogue
+  // entry and the stream's link to it
+  async deleteRecording(recording) {
+    await this.deleteRecordingFiles(recording);
+    await this.deleteExports(recording._id);
+    await recording.deleteOne();
+
+    const recordingUrl = `/api/recordings/${recording._id}`;
+    await Stream.updateOne(
+      { _id: recording.stream, recordingUrl },
+      { $unset: { recordingUrl: 1, thumbnailUrl: 1 } }
+    );
+  }
+
+  // Delete a recording's exports; conversions still running are cancelled
+  async deleteExports(recordingId) {
+    const exports = await Export.find({ recording: recordingId });
+
+    for (const exp of exports) {
+      if (exp.status === 'processing' && exp.job) {
+        await jobQueue.cancel(exp.job);
+      } else if (exp.status === 'ready') {
+        await storageService.driver(exp.storage).delete(exp.key);
+      }
+    }
+
+    await Export.deleteMany({ recording: recordingId });
+    await fs.promises.rm(path.join(__dirname, `../recordings/exports/${recordingId}`), { recursive: true, force: true });
+  }
+
+  // Seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+  formatVttTime(seconds) {
+    const date = new Date(Math.round(seconds * 1000));
+    return date.toISOString().substring(11, 23);
+  }
+
+  // Chapters of a finished recording, one per marker, each running to the
+  // next. Markers closer than config.highlights.minChapterLength to the
+  // previous chapter are merged into it, a manual marker taking over a
+  // highlight's title.
+  getChapters(recording) {
+    const duration = recording.duration || 0;
+    const markers = (recording.markers || [])
+      .filter(marker => marker.offset < duration)
+      .sort((a, b) => a.offset - b.offset);
+
+    const chapters = [{ start: 0, title: recording.title || 'Start', kind: 'start' }];
+    for (const marker of markers) {
+      const last = chapters[chapters.length - 1];
+      if (marker.offset - last.start < config.highlights.minChapterLength) {
+        if (marker.kind === 'manual' && last.kind !== 'manual') {
+          Object.assign(last, { title: marker.title, kind: marker.kind, markerId: marker._id });
+        }
+        continue;
+      }
+      chapters.push({ start: marker.offset, title: marker.title, kind: marker.kind, markerId: marker._id });
+    }
+
+    return chapters.map((chapter, i) => ({
+      ...chapter,
+      end: i + 1 < chapters.length ? chapters[i + 1].start : duration
+    }));
+  }
+
+  // Chapters as a WebVTT chapters track
+  formatChaptersVtt(chapters) {
+    const cues = ['WEBVTT', ''];
+    chapters.forEach((chapter, i) => {
+      cues.push(String(i + 1));
+      cues.push(`${this.formatVttTime(chapter.start)} --> ${this.formatVttTime(chapter.end)}`);
+      // A cue ends at a blank line and can't contain its own arrow
+      cues.push(chapter.title.replace(/\s*[\r\n]+\s*/g, ' ').replace(/-->/g, '->'));
+      cues.push('');
+    });
+    return cues.join('\n');
+  }
+
   // Get recording info by stream key
   getRecordingInfo(streamKey) {
     return this.recordings.get(streamKey) || null;
   }
 
+  // Where in a live recording a moment of the broadcast falls, in seconds.
+  // During a gap that's where capture stopped.
+  getRecordingOffset(streamKey, at = new Date()) {
+    const recording = this.recordings.get(streamKey);
+    if (!recording) return null;
+
+    const paused = recording.gap ? (at - recording.gap.startedAt) / 1000 : 0;
+    return {
+      recordingId: recording.id,
+      offset: Math.max(0, Math.round((at - recording.startTime) / 1000 - recording.gapSeconds - paused))
+    };
+  }
+
   // Get all active recordings
   getActiveRecordings() {
     return Array.from(this.recordings.values());
   }
-
-  // Clean up old recordings (to be called periodically)
-  cleanupOldRecordings(maxAgeDays = 30) {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - maxAgeDays);
-    
-    const recordingsDir = path.join(__dirname, '../recordings/videos');
-    
-    fs.readdir(recordingsDir, (err, files) => {
-      if (err) {
-        console.error('Error reading recordings directory:', err);
-        return;
-      }
-      
-      files.forEach(file => {
-        const filePath = path.join(recordingsDir, file);
-        const stats = fs.statSync(filePath);
-        
-        if (stats.birthtime < cutoffDate) {
-          fs.unlink(filePath, (err) => {
-            if (err) {
-              console.error(`Error deleting old recording ${file}:`, err);
-            } else {
-              console.log(`Deleted old recording: ${file}`);
-              
-              // Delete corresponding thumbnail if exists
-              const thumbnailPath = path.join(
-                __dirname, 
-                `../recordings/thumbnails/${path.parse(file).name}.jpg`
-              );
-              
-              if (fs.existsSync(thumbnailPath)) {
-                fs.unlink(thumbnailPath, (err) => {
-                  if (err) console.error(`Error deleting thumbnail for ${file}:`, err);
-                });
-              }
-            }
-          });
-        }
-      });
-    });
-  }
 }
 
 // Create a singleton instance
 const recordingService = new RecordingService();
 
-// Schedule cleanup of old recordings (run once per day)
-setInterval(() => {
-  recordingService.cleanupOldRecordings();
-}, 24 * 60 * 60 * 1000);
-
 module.exports = recordingService;
@@ -0,0 +1,178 @@
+const ffmpeg = require('fluent-ffmpeg');
+const RestreamDestination = require('../models/RestreamDestination');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const streamTokenService = require('./streamTokenService');
+
+class RestreamService {
+  constructor(io) {
+    this.io = io;
+    this.relays = new Map(); // streamKey -> Map(destinationId -> relay state)
+  }
+  
+  // Start relays to every enabled destination of the session's owner
+  async start(session) {
+    const destinations = await RestreamDestination.find({ user: session.userId, enabled: true })
+      .select('+encryptedStreamKey');
+    
+    destinations.forEach(destination => this.startRelay(session, destination));
+    return destinations.length;
+  }
+  
+  // Start (or restart) relaying a live stream to one destination
+  startRelay(session, destination) {
+    const { streamKey } = session;
+    const destinationId = destination._id.toString();
+    
+    if (!this.relays.has(streamKey)) {
+      this.relays.set(streamKey, new Map());
+    }
+    const relays = this.relays.get(streamKey);
+    
+    if (relays.has(destinationId)) {
+      return relays.get(destinationId);
+    }
+    
+    const relay = {
+      destinationId,
+      name: destination.name,
+      url: destination.url,
+      streamId: session.streamId,
+      userId: session.userId,
+      targetUrl: destination.getTargetUrl(),
+      status: 'connecting',
+      attempts: 0,
+      lastError: null,
+      startedAt: null,
+      command: null,
+      retryTimer: null,
+      stopped: false
+    };
+    relays.set(destinationId, relay);
+    
+    this.spawn(streamKey, relay);
+    return relay;
+  }
+  
+  // Run ffmpeg copying the local stream to the destination
+  spawn(streamKey, relay) {
+    this.setStatus(relay, relay.attempts > 0 ? 'retrying' : 'connecting');
+    
+    const command = ffmpeg()
+      .input(streamTokenService.internalPlayUrl(streamKey))
+      .outputOptions([
+        '-c copy', // Relay as-is, no transcoding
+        '-f flv'
+      ])
+      .on('progress', () => {
+        if (relay.status !== 'live') {
+          relay.attempts = 0;
+          relay.lastError = null;
+          relay.startedAt = new Date();
+          this.setStatus(relay, 'live');
+        }
+      })
+      .on('error', (err) => this.handleExit(streamKey, relay, command, err))
+      .on('end', () => this.handleExit(streamKey, relay, command, new Error('Relay ended unexpectedly')));
+    
+    relay.command = command;
+    command.save(relay.targetUrl);
+  }
+  
+  // Retry a dropped relay with exponential backoff until maxRetries is reached
+  handleExit(streamKey, relay, command, error) {
+    if (relay.command !== command) return;
+    relay.command = null;
+    
+    if (relay.stopped) return;
+    
+    // ffmpeg errors include the output URL; keep the destination key out of them
+    relay.lastError = error.message.split(relay.targetUrl).join(`${relay.url}/[REDACTED]`);
+    relay.attempts++;
+    
+    if (relay.attempts > config.restream.maxRetries) {
+      logger.error(`[RESTREAM] Relay to ${relay.name} failed for ${streamKey}`, { error: relay.lastError });
+      this.setStatus(relay, 'failed');
+      return;
+    }
+    
+    const delay = config.restream.retryDelay * 1000 * Math.pow(2, relay.attempts - 1);
+    logger.warn(`[RESTREAM] Relay to ${relay.name} dropped, retrying in ${delay / 1000}s`, {
+      streamKey,
+      attempt: relay.attempts,
+      error: relay.lastError
+    });
+    
+    this.setStatus(relay, 'retrying');
+    relay.retryTimer = setTimeout(() => {
+      relay.retryTimer = null;
+      if (!relay.stopped) {
+        this.spawn(streamKey, relay);
+      }
+    }, delay);
+  }
+  
+  // Stop relaying to one destination
+  stopRelay(streamKey, destinationId) {
+    const relays = this.relays.get(streamKey);
+    const relay = relays && relays.get(destinationId.toString());
+    if (!relay) return false;
+    
+    relay.stopped = true;
+    clearTimeout(relay.retryTimer);
+    if (relay.command) {
+      relay.command.kill('SIGTERM');
+      relay.command = null;
+    }
+    
+    relays.delete(relay.destinationId);
+    if (relays.size === 0) {
+      this.relays.delete(streamKey);
+    }
+    
+    this.setStatus(relay, 'stopped');
+    return true;
+  }
+  
+  // Tear down every relay for a stream
+  stop(streamKey) {
+    const relays = this.relays.get(streamKey);
+    if (!relays) return;
+    
+    for (const destinationId of Array.from(relays.keys())) {
+      this.stopRelay(streamKey, destinationId);
+    }
+  }
+  
+  setStatus(relay, status) {
+    relay.status = status;
+    
+    if (this.io) {
+      this.io.to(`user:${relay.userId}`).emit('restream-status', {
+        streamId: relay.streamId,
+        destinationId: relay.destinationId,
+        name: relay.name,
+        status,
+        attempts: relay.attempts,
+        error: relay.lastError
+      });
+    }
+  }
+  
+  // Per-destination status for a stream
+  getStatus(streamKey) {
+    const relays = this.relays.get(streamKey);
+    if (!relays) return [];
+    
+    return Array.from(relays.values()).map(relay => ({
+      destinationId: relay.destinationId,
+      name: relay.name,
+      status: relay.status,
+      attempts: relay.attempts,
+      lastError: relay.lastError,
+      startedAt: relay.startedAt
+    }));
+  }
+}
+
+module.exports = RestreamService;
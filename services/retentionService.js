@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Recording = require('../models/Recording');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const recordingService = require('./recordingService');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Removes recordings according to their owner's retention rules and storage
+// quota. Rules are the owner's role defaults (config.retention, config.quotas)
+// with per-user overrides, and everything is decided from Recording
+// documents, so each removal takes every file of a recording from wherever
+// it's stored. Pinned recordings and recordings still in progress are never
+// removed.
+class RetentionService {
+  constructor() {
+    this.running = false;
+    this.io = null;
+    this.sweepTimer = null;
+  }
+
+  // The sweep runs as a keyed `retention.sweep` job, so however many nodes
+  // queue it, only one runs it at a time
+  registerJobs() {
+    jobQueue.register('retention.sweep', (job, context) => this.runSweepJob(job, context), { maxAttempts: 1 });
+  }
+
+  // Sweep now and then periodically; owners are told over `io` when
+  // recordings of theirs are removed
+  start(io) {
+    if (this.sweepTimer) return;
+
+    this.io = io || null;
+    this.queueSweep();
+    this.sweepTimer = setInterval(() => this.queueSweep(), config.retention.sweepInterval * 1000);
+  }
+
+  queueSweep() {
+    jobQueue.enqueue('retention.sweep', {}, { key: 'retention.sweep' }).catch((error) => {
+      logger.error('[RETENTION] Failed to queue retention run:', { error: error.message });
+    });
+  }
+
+  // Job: apply every owner's policy, unless another node's sweep finished
+  // within the last half interval (each node queues one on start and on
+  // its own timer)
+  async runSweepJob(job, context) {
+    const since = new Date(Date.now() - config.retention.sweepInterval * 1000 / 2);
+    const recent = await Job.exists({ type: 'retention.sweep', status: 'completed', finishedAt: { $gt: since } });
+    if (recent) {
+      context.log('Retention already ran recently; skipping');
+      return { skipped: true };
+    }
+
+    const result = await this.run();
+    if (!result) {
+      context.log('A retention run is already in progress; skipping');
+      return { skipped: true };
+    }
+    return { dryRun: result.dryRun, recordings: result.recordings, bytesFreed: result.bytesFreed };
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  // Effective rules for a user: their overrides, else their role's defaults
+  getPolicy(user) {
+    const defaults = config.retention.roles[user.role] || {};
+    const overrides = user.retention || {};
+    const pick = (value, fallback) => (value !== undefined && value !== null ? value : fallback || 0);
+
+    return {
+      maxAgeDays: pick(overrides.maxAgeDays, defaults.maxAgeDays),
+      keepLast: pick(overrides.keepLast, defaults.keepLast),
+      quota: pick(user.storageQuota, config.quotas.roles[user.role])
+    };
+  }
+
+  // Storage used by a user's recordings
+  async getUsage(userId) {
+    const [usage] = await Recording.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+      {
+        $group: {
+          _id: null,
+          bytes: { $sum: { $ifNull: ['$size', 0] } },
+          recordings: { $sum: 1 },
+          pinned: { $sum: { $cond: ['$pinned', 1, 0] } }
+        }
+      }
+    ]);
+
+    return {
+      bytes: usage ? usage.bytes : 0,
+      recordings: usage ? usage.recordings : 0,
+      pinned: usage ? usage.pinned : 0
+    };
+  }
+
+  // Work out which of a user's recordings their policy removes, each with
+  // the rule responsible (`max-age`, `keep-last` or `quota`)
+  async plan(user) {
+    const policy = this.getPolicy(user);
+    const usage = await this.getUsage(user._id);
+    const recordings = await Recording.find({ user: user._id }).sort({ createdAt: -1 });
+    const cutoff = policy.maxAgeDays > 0 ? new Date(Date.now() - policy.maxAgeDays * DAY) : null;
+
+    const remove = [];
+    const kept = [];
+    recordings.forEach((recording, index) => {
+      const removable = !recording.pinned && (recording.status === 'ready' || recording.status === 'failed');
+
+      if (removable && policy.keepLast > 0 && index >= policy.keepLast) {
+        remove.push({ reason: 'keep-last', recording });
+      } else if (removable && cutoff && recording.createdAt < cutoff) {
+        remove.push({ reason: 'max-age', recording });
+      } else {
+        kept.push({ removable, recording });
+      }
+    });
+
+    // Over quota, the oldest remaining recordings go first
+    let bytes = usage.bytes - remove.reduce((total, entry) => total + (entry.recording.size || 0), 0);
+    if (policy.quota > 0) {
+      for (let i = kept.length - 1; i >= 0 && bytes > policy.quota; i--) {
+        if (!kept[i].removable) continue;
+        remove.push({ reason: 'quota', recording: kept[i].recording });
+        bytes -= kept[i].recording.size || 0;
+      }
+    }
+
+    return {
+      user: { _id: user._id, username: user.username, role: user.role },
+      policy,
+      usage: { ...usage, overQuota: policy.quota > 0 && usage.bytes > policy.quota },
+      remove,
+      bytesFreed: usage.bytes - bytes
+    };
+  }
+
+  // Apply one user's policy (a User or user id). With `dryRun` nothing is
+  // deleted; the plan says what would be.
+  async applyForUser(userOrId, { dryRun = config.retention.dryRun } = {}) {
+    const user = userOrId instanceof User
+      ? userOrId
+      : await User.findById(userOrId).select('username role retention storageQuota');
+    if (!user) return null;
+
+    const plan = await this.plan(user);
+    if (dryRun) return { ...plan, dryRun: true };
+
+    const removed = [];
+    for (const entry of plan.remove) {
+      try {
+        await recordingService.deleteRecording(entry.recording);
+        removed.push(entry);
+        logger.info(`[RETENTION] Removed recording ${entry.recording._id} (${entry.reason})`, {
+          user: user._id.toString(),
+          size: entry.recording.size
+        });
+      } catch (error) {
+        logger.error(`[RETENTION] Failed to remove recording ${entry.recording._id}:`, { error: error.message });
+      }
+    }
+
+    const bytesFreed = removed.reduce((total, entry) => total + (entry.recording.size || 0), 0);
+    if (removed.length > 0) {
+      logger.info(`[RETENTION] Removed ${removed.length} recordings of user ${user._id} (${bytesFreed} bytes)`);
+      this.notifyRemoved(user, removed, bytesFreed);
+    }
+
+    return {
+      ...plan,
+      dryRun: false,
+      remove: removed,
+      bytesFreed
+    };
+  }
+
+  // Tell an owner which of their recordings were removed and why
+  notifyRemoved(user, removed, bytesFreed) {
+    if (!this.io) return;
+
+    this.io.to(`user:${user._id}`).emit('recordings-removed', {
+      recordings: removed.map(entry => ({
+        recordingId: entry.recording._id,
+        title: entry.recording.title,
+        reason: entry.reason,
+        size: entry.recording.size
+      })),
+      bytesFreed
+    });
+  }
+
+  // Apply every recording owner's policy. Resolves with the users who had
+  // recordings removed (or, in a dry run, would have), or null when a run is
+  // already in progress.
+  async run({ dryRun = config.retention.dryRun } = {}) {
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      const owners = await Recording.distinct('user');
+      const users = await User.find({ _id: { $in: owners } }).select('username role retention storageQuota');
+
+      const results = [];
+      for (const user of users) {
+        const result = await this.applyForUser(user, { dryRun });
+        if (result.remove.length > 0) results.push(result);
+      }
+
+      const recordings = results.reduce((total, result) => total + result.remove.length, 0);
+      const bytes = results.reduce((total, result) => total + result.bytesFreed, 0);
+      logger.info(`[RETENTION] ${dryRun ? 'Dry run: would remove' : 'Removed'} ${recordings} recordings (${bytes} bytes)`);
+
+      return { dryRun, recordings, bytesFreed: bytes, users: results };
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+// Create a singleton instance
+const retentionService = new RetentionService();
+
+module.exports = retentionService;
@@ -2,117 +2,51 @@ const NodeMediaServer = require('node-media-server');
 const jwt = require('jsonwebtoken');
 const Stream = require('../models/Stream');
 const User = require('../models/User');
+const StreamKey = require('../models/StreamKey');
+const Ban = require('../models/Ban');
+const TranscodeProfile = require('../models/TranscodeProfile');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const recordingService = require('./recordingService');
+const retentionService = require('./retentionService');
+const jobQueue = require('./jobQueue');
+const streamTokenService = require('./streamTokenService');
+const StreamHealthService = require('./streamHealthService');
+const RestreamService = require('./restreamService');
+const PullIngestService = require('./pullIngestService');
+const TranscodeService = require('./transcodeService');
+const LiveThumbnailService = require('./liveThumbnailService');
+const ClipService = require('./clipService');
+const HighlightService = require('./highlightService');
+const ExportService = require('./exportService');
+
+// Invalid stream settings, reported to the client with `status`
+const settingsError = (message) => Object.assign(new Error(message), { status: 400 });
 
 class RTMPServer {
   constructor(io) {
     this.io = io;
-    this.nms = new NodeMediaServer(config.rtmpServer);
-    this.streamSessions = new Map(); // streamKey -> session info
-    this.activeStreams = new Map();
+    // RTMP ingest only: HTTP playback goes through the Express gateway
+    this.nms = new NodeMediaServer({ rtmp: config.rtmp });
+    this.streamSessions = new Map(); // streamKey -> publisher session info
+    this.activeStreams = new Map(); // streamKey -> live broadcast info
+    this.playerSessions = new Map(); // NMS session id -> viewer session info
+    this.pendingPublishes = new Map(); // NMS session id -> publish authorization in progress
+    this.healthService = new StreamHealthService(io);
+    this.restreamService = new RestreamService(io);
+    this.pullIngestService = new PullIngestService(io);
+    this.transcodeService = new TranscodeService();
+    this.thumbnailService = new LiveThumbnailService(io);
+    this.clipService = new ClipService(io, this.transcodeService);
+    this.highlightService = new HighlightService(io);
+    this.exportService = new ExportService(io);
     this.initializeEventHandlers();
   }
-
-  // Authenticate stream playback
-  async authenticatePlay(id, StreamPath, args) {
-    const streamKey = this.extractStreamKey(StreamPath);
-    const session = this.streamSessions.get(id);
-    
-    try {
-      // Check if stream exists and is active
-      const stream = this.activeStreams.get(streamKey);
-      if (!stream) {
-        console.log(`[AUTH] Stream not found: ${streamKey}`);
-        return false;
-      }
-      
-      // Get user from session or token
-      const user = await this.authenticateUser(args);
-      if (!user) {
-        console.log(`[AUTH] Unauthorized access to stream: ${streamKey}`);
-        return false;
-      }
-      
-      // Store session info
-      this.streamSessions.set(id, {
-        ...session,
-        type: 'play',
-        streamKey,
-        userId: user._id,
-        userRole: user.role,
-        startTime: Date.now()
-      });
-      
-      // Increment viewer count
-      this.updateViewerCount(streamKey, 1);
-      
-      console.log(`[AUTH] Playback authorized for user ${user._id} on stream ${streamKey}`);
-      return true;
-    } catch (error) {
-      console.error('Play authentication error:', error);
-      return false;
-    }
-  }
-  
-  // Authenticate stream publishing
-  async authenticatePublish(id, StreamPath, args) {
-    const streamKey = this.extractStreamKey(StreamPath);
-    
-    try {
-      // Get user from session or token
-      const user = await this.authenticateUser(args);
-      if (!user) {
-        console.log(`[AUTH] Unauthorized publish attempt: ${streamKey}`);
-        return false;
-      }
-      
-      // Check if user has permission to publish
-      if (user.role !== 'streamer' && user.role !== 'admin') {
-        console.log(`[AUTH] User ${user._id} is not authorized to publish`);
-        return false;
-      }
-      
-      // Verify stream key belongs to user
-      if (user.streamKey !== streamKey) {
-        console.log(`[AUTH] Invalid stream key for user ${user._id}`);
-        return false;
-      }
-      
-      // Store session info
-      this.streamSessions.set(id, {
-        type: 'publish',
-        streamKey,
-        userId: user._id,
-        userRole: user.role,
-        startTime: Date.now()
-      });
-      
-      console.log(`[AUTH] Publish authorized for user ${user._id} with stream ${streamKey}`);
-      return true;
-    } catch (error) {
-      console.error('Publish authentication error:', error);
-      return false;
-    }
-  }
   
-  // Helper to authenticate user from token or session
-  async authenticateUser(args) {
-    try {
-      // Check for token in query params or headers
-      const token = args.token || (args.headers && args.headers.token);
-      if (!token) return null;
-      
-      // Verify JWT token
-      const decoded = jwt.verify(token, config.auth.secret);
-      
-      // Get user from database
-      return await User.findById(decoded.id).select('+streamKey');
-    } catch (error) {
-      console.error('User authentication error:', error);
-      return null;
-    }
+  // Copy of RTMP query args that is safe to keep around and log
+  redactArgs(args) {
+    const { token, ...rest } = args || {};
+    return token ? { ...rest, token: '[REDACTED]' } : rest;
   }
   
   // Extract stream key from RTMP path
@@ -121,19 +55,38 @@ class RTMPServer {
     return parts[parts.length - 1];
   }
   
+  // Resolve the user behind an RTMP `token` arg: a signed stream token scoped
+  // to this key and action, or a legacy user JWT when still allowed
+  resolveTokenUserId(token, streamKey, action) {
+    if (!token) {
+      throw new Error('No token provided');
+    }
+    
+    if (streamTokenService.isStreamToken(token)) {
+      return streamTokenService.verify(token, { streamKey, action }).sub;
+    }
+    
+    if (!config.streamTokens.allowJwt) {
+      throw new Error('A signed stream token is required');
+    }
+    
+    return jwt.verify(token, config.auth.secret).id;
+  }
+  
   // Authenticate publisher (streamer)
-  async authenticatePublisher(streamKey, token) {
+  async authenticatePublisher(streamKey, token, ip) {
     try {
-      if (!token) {
-        throw new Error('No token provided');
-      }
-      
-      // Verify JWT token
-      const decoded = jwt.verify(token, config.auth.secret);
-      
-      // Get user and stream from database
-      const [user, stream] = await Promise.all([
-        User.findById(decoded.id).select('-password'),
+      // A signed token is returned with the result; single-use ones are
+      // only spent once the publish is authorized
+      const streamToken = streamTokenService.isStreamToken(token)
+        ? streamTokenService.verify(token, { streamKey, action: 'publish' })
+        : null;
+      const userId = streamToken ? streamToken.sub : this.resolveTokenUserId(token, streamKey, 'publish');
+      
+      // Get user, key and stream from database
+      const [user, keyDoc, stream] = await Promise.all([
+        User.findById(userId).select('-password'),
+        StreamKey.findActiveKey(streamKey),
         Stream.findOne({ streamKey })
       ]);
       
@@ -141,21 +94,32 @@ class RTMPServer {
         throw new Error('User not found');
       }
       
+      // Only active (not revoked or rotated) keys may publish
+      if (!keyDoc) {
+        throw new Error('Invalid or revoked stream key');
+      }
+      
+      if (keyDoc.user.toString() !== user._id.toString() && user.role !== 'admin') {
+        throw new Error('Unauthorized to stream to this channel');
+      }
+      
+      await keyDoc.markUsed(ip);
+      
       // Check if stream exists and belongs to user
       if (!stream) {
         // Create a new stream if it doesn't exist (first time streaming)
         const newStream = new Stream({
-          user: user._id,
+          user: keyDoc.user,
           title: `Stream ${Date.now()}`,
           description: '',
           streamKey,
-          isLive: false,
+          status: 'starting',
           isPrivate: false,
           tags: []
         });
         
         await newStream.save();
-        return { user, stream: newStream };
+        return { user, stream: newStream, streamKey: keyDoc, streamToken };
       }
       
       // Check if stream belongs to user or user is admin
@@ -163,7 +127,7 @@ class RTMPServer {
         throw new Error('Unauthorized to stream to this channel');
       }
       
-      return { user, stream };
+      return { user, stream, streamKey: keyDoc, streamToken };
     } catch (error) {
       logger.error('Publisher authentication error:', error);
       throw error;
@@ -180,9 +144,25 @@ class RTMPServer {
         throw new Error('Stream not found');
       }
       
+      // Verify a signed play token (single-use tokens are spent once the
+      // viewer is let in). The server's own consumers (recording, relays)
+      // carry internal tokens.
+      let payload = null;
+      if (streamTokenService.isStreamToken(token)) {
+        try {
+          payload = streamTokenService.verify(token, { streamKey, action: 'play' });
+        } catch (error) {
+          if (stream.isPrivate) throw error;
+        }
+        
+        if (payload && payload.int) {
+          return { stream, internal: true };
+        }
+      }
+      
       // Public stream doesn't require authentication
       if (!stream.isPrivate) {
-        return { stream };
+        return { stream, streamToken: payload };
       }
       
       // Private stream requires authentication
@@ -190,32 +170,455 @@ class RTMPServer {
         throw new Error('Authentication required for private stream');
       }
       
-      // Verify JWT token
-      const decoded = jwt.verify(token, config.auth.secret);
-      const user = await User.findById(decoded.id).select('-password');
+      const userId = payload ? payload.sub : this.resolveTokenUserId(token, streamKey, 'play');
+      const user = await User.findById(userId).select('-password');
       
       if (!user) {
         throw new Error('User not found');
       }
       
       // Check if user is the streamer, admin, or a follower (for private streams)
-      const isOwner = stream.user._id.toString() === user._id.toString();
-      const isAdmin = user.role === 'admin';
-      const isFollower = stream.user.followers.includes(user._id);
-      
-      if (!isOwner && !isAdmin && !isFollower) {
+      if (!(await stream.canBeViewedBy(user))) {
         throw new Error('Not authorized to view this private stream');
       }
       
-      return { user, stream };
+      return { user, stream, streamToken: payload };
     } catch (error) {
       logger.error('Viewer authentication error:', error);
       throw error;
     }
   }
   
-  // Get stream info by stream key
-  async getStreamInfo(streamKey) {
+  // Authorize a publisher and register its session in the `starting` state
+  async beginPublish(id, streamKey, args) {
+    const nmsSession = this.nms.getSession(id);
+    const ip = nmsSession ? nmsSession.ip : null;
+    const { user, stream, streamKey: keyDoc, streamToken } = await this.authenticatePublisher(streamKey, args.token, ip);
+    
+    const ban = await Ban.findActive({ userId: user._id, ip, action: 'publish' });
+    if (ban) {
+      throw new Error(`Publishing is banned${ban.reason ? `: ${ban.reason}` : ''}`);
+    }
+    
+    // Resolved before the checks below so nothing is awaited between them
+    // and registering the session; a returning publisher keeps its own
+    const transcodeSettings = await this.resolveTranscodeSettings(user);
+    
+    // Only one publisher per stream key at a time
+    const existing = this.streamSessions.get(streamKey);
+    if (existing && existing.id !== id && existing.state !== 'reconnecting') {
+      throw new Error('Stream key is already publishing');
+    }
+    
+    // The publisher may have disconnected while we were authenticating
+    if (!this.nms.getSession(id)) {
+      throw new Error('Publisher disconnected during authentication');
+    }
+    
+    // A publisher returning within the grace period resumes its broadcast
+    // (already admitted, so it isn't counted again)
+    if (existing && existing.state === 'reconnecting') {
+      // An encoder retrying with the URL it started with isn't a second use
+      // of a single-use token; a new one is spent before taking over
+      if (streamToken && streamToken.once && streamToken.jti !== existing.tokenId) {
+        await streamTokenService.consume(streamToken);
+        
+        if (this.streamSessions.get(streamKey) !== existing || existing.state !== 'reconnecting') {
+          throw new Error('Stream key is already publishing');
+        }
+        if (!this.nms.getSession(id)) {
+          throw new Error('Publisher disconnected during authentication');
+        }
+        existing.tokenId = streamToken.jti;
+      }
+      
+      clearTimeout(existing.reconnectTimer);
+      existing.reconnectTimer = null;
+      existing.id = id;
+      existing.args = this.redactArgs(args);
+      existing.state = 'resuming';
+      
+      logger.info(`[RTMP] Publisher reconnected: ${streamKey} by user ${user._id}`, {
+        streamId: stream._id
+      });
+      
+      return { session: existing, stream };
+    }
+    
+    const rejection = this.checkAdmission(user);
+    if (rejection) {
+      logger.warn(`[RTMP] Publish rejected: ${streamKey} by user ${user._id}: ${rejection.reason}`, rejection);
+      
+      if (this.io) {
+        this.io.to(`user:${user._id}`).emit('publish-rejected', {
+          streamId: stream._id,
+          streamKeyId: keyDoc._id,
+          ...rejection
+        });
+      }
+      
+      throw new Error(rejection.reason);
+    }
+    
+    const session = {
+      id,
+      streamKey,
+      streamId: stream._id,
+      streamKeyId: keyDoc._id,
+      userId: user._id,
+      userRole: user.role,
+      ip,
+      state: 'starting',
+      startTime: new Date(),
+      args: this.redactArgs(args),
+      lowLatency: stream.lowLatency,
+      dvrWindow: stream.dvrWindow,
+      transcodeSettings,
+      tokenId: streamToken ? streamToken.jti : null
+    };
+    this.streamSessions.set(streamKey, session);
+    
+    // Spent only now the publish is allowed, so a rejected attempt can be
+    // retried with the same token; the slot is held meanwhile
+    try {
+      await streamTokenService.consume(streamToken);
+    } catch (error) {
+      if (this.streamSessions.get(streamKey) === session) {
+        this.streamSessions.delete(streamKey);
+      }
+      throw error;
+    }
+    
+    stream.status = 'starting';
+    stream.transcodeProfile = {
+      profile: transcodeSettings.profileId,
+      name: transcodeSettings.name,
+      videoCodec: transcodeSettings.videoCodec,
+      renditions: transcodeSettings.renditions.map(rendition => rendition.name),
+      gopSeconds: transcodeSettings.gopSeconds,
+      audioBitrate: transcodeSettings.audioBitrate,
+      hls: transcodeSettings.hls,
+      dash: transcodeSettings.dash
+    };
+    stream.startedAt = session.startTime;
+    stream.endedAt = undefined;
+    stream.duration = undefined;
+    await stream.save();
+    
+    logger.info(`[RTMP] Publish authorized: ${streamKey} by user ${user._id}`, {
+      streamId: stream._id,
+      title: stream.title,
+      transcodeProfile: transcodeSettings.name
+    });
+    
+    return { session, stream };
+  }
+  
+  // Transcoding settings for a publisher: their assigned profile, their
+  // role's profile, or the configured default
+  async resolveTranscodeSettings(user) {
+    const profile = await TranscodeProfile.findForUser(user);
+    return profile ? profile.toSettings() : config.abr.defaultProfile;
+  }
+  
+  // Count current broadcasts (any state) on this node, by role and by user
+  getPublisherUsage() {
+    const usage = { total: 0, byRole: {}, byUser: {} };
+    
+    for (const session of this.streamSessions.values()) {
+      const userId = session.userId.toString();
+      usage.total++;
+      usage.byRole[session.userRole] = (usage.byRole[session.userRole] || 0) + 1;
+      usage.byUser[userId] = (usage.byUser[userId] || 0) + 1;
+    }
+    
+    return usage;
+  }
+  
+  // Concurrency limit for one account
+  getUserStreamLimit(user) {
+    return user.maxConcurrentStreams !== undefined && user.maxConcurrentStreams !== null
+      ? user.maxConcurrentStreams
+      : config.admission.maxPerUser;
+  }
+  
+  // Check a new broadcast against the server, role and user limits.
+  // Returns null when it may go ahead, otherwise the reason it can't.
+  checkAdmission(user) {
+    const { maxTotal, maxPerRole } = config.admission;
+    const usage = this.getPublisherUsage();
+    const roleLimit = maxPerRole[user.role];
+    const userLimit = this.getUserStreamLimit(user);
+    const userActive = usage.byUser[user._id.toString()] || 0;
+    
+    if (usage.total >= maxTotal) {
+      return { scope: 'server', limit: maxTotal, active: usage.total, reason: 'Server is at its broadcast capacity, try again later' };
+    }
+    
+    if (roleLimit !== undefined && (usage.byRole[user.role] || 0) >= roleLimit) {
+      return { scope: 'role', limit: roleLimit, active: usage.byRole[user.role], reason: `Concurrent broadcast limit for ${user.role} accounts reached` };
+    }
+    
+    if (userActive >= userLimit) {
+      return { scope: 'user', limit: userLimit, active: userActive, reason: `You can run at most ${userLimit} concurrent broadcast(s)` };
+    }
+    
+    return null;
+  }
+  
+  // Current utilisation against the configured admission limits
+  async getUtilisation() {
+    const usage = this.getPublisherUsage();
+    const users = await User.find({ _id: { $in: Object.keys(usage.byUser) } })
+      .select('username role maxConcurrentStreams')
+      .lean();
+    
+    const roles = {};
+    for (const [role, limit] of Object.entries(config.admission.maxPerRole)) {
+      roles[role] = { active: usage.byRole[role] || 0, limit };
+    }
+    
+    return {
+      server: { active: usage.total, limit: config.admission.maxTotal },
+      roles,
+      users: users.map(user => ({
+        userId: user._id,
+        username: user.username,
+        role: user.role,
+        active: usage.byUser[user._id.toString()],
+        limit: this.getUserStreamLimit(user)
+      }))
+    };
+  }
+  
+  // Move an authorized session from `starting` (or `resuming`) to `live`
+  async markLive(session, stream) {
+    if (session.state === 'resuming') {
+      return this.resumeLive(session);
+    }
+    
+    if (session.state !== 'starting') {
+      return;
+    }
+    
+    // In-memory state changes first so a concurrent donePublish sees them
+    session.state = 'live';
+    this.captureSessionStats(session);
+    
+    this.activeStreams.set(session.streamKey, {
+      streamId: session.streamId,
+      userId: session.userId,
+      title: stream.title,
+      isPrivate: stream.isPrivate,
+      startTime: session.startTime,
+      viewers: 0
+    });
+    
+    recordingService.startRecording(session.streamKey, session.userId, {
+      streamId: session.streamId,
+      title: stream.title,
+      isPrivate: stream.isPrivate
+    });
+    // Make room under the broadcaster's quota for the new recording
+    retentionService.applyForUser(session.userId).catch((error) => {
+      logger.error(`[RETENTION] Failed to apply retention for user ${session.userId}:`, { error: error.message });
+    });
+    this.startTranscode(session);
+    this.thumbnailService.start(session, { isPrivate: stream.isPrivate });
+    this.startHealthSampling(session);
+    this.startRestream(session);
+    this.highlightService.start(session);
+    
+    if (this.io) {
+      this.io.emit('stream-started', {
+        streamId: session.streamId,
+        userId: session.userId,
+        title: stream.title,
+        isPrivate: stream.isPrivate,
+        startTime: session.startTime,
+        playbackUrl: `/api/playback/${session.streamId}/index.m3u8`,
+        thumbnail: this.thumbnailService.getThumbnailUrl(session.streamId),
+        metadata: {
+          width: session.width,
+          height: session.height,
+          videoCodec: session.videoCodec,
+          audioCodec: session.audioCodec
+        }
+      });
+    }
+    
+    // Only promote a stream that hasn't already been ended or failed
+    await Stream.updateOne({ _id: session.streamId, status: 'starting' }, { status: 'live' });
+    
+    logger.info(`[RTMP] Stream live: ${session.streamKey}`, { streamId: session.streamId });
+  }
+  
+  // Put a live broadcast on hold after its publisher dropped
+  async beginReconnect(session) {
+    const { streamKey } = session;
+    const gracePeriod = config.streaming.reconnectGracePeriod;
+    
+    session.state = 'reconnecting';
+    session.disconnectedAt = new Date();
+    recordingService.pauseRecording(streamKey);
+    this.transcodeService.stop(streamKey);
+    this.thumbnailService.stop(streamKey);
+    this.healthService.stopSampling(streamKey);
+    this.restreamService.stop(streamKey);
+    
+    session.reconnectTimer = setTimeout(() => {
+      logger.info(`[RTMP] Reconnect grace period expired: ${streamKey}`);
+      this.endStream(streamKey).catch((error) => {
+        logger.error(`[RTMP] Error ending stream after grace period: ${streamKey}`, error);
+      });
+    }, gracePeriod * 1000);
+    
+    // Viewers stay in the room and wait for the publisher to come back
+    if (this.io) {
+      this.io.to(`stream:${session.streamId}`).emit('stream-reconnecting', {
+        streamId: session.streamId,
+        disconnectedAt: session.disconnectedAt,
+        gracePeriod
+      });
+    }
+    
+    await Stream.updateOne({ _id: session.streamId, status: 'live' }, { status: 'reconnecting' });
+    
+    logger.info(`[RTMP] Stream reconnecting: ${streamKey}`, { streamId: session.streamId, gracePeriod });
+  }
+  
+  // Continue a broadcast whose publisher came back within the grace period
+  async resumeLive(session) {
+    session.state = 'live';
+    session.disconnectedAt = null;
+    this.captureSessionStats(session);
+    recordingService.resumeRecording(session.streamKey);
+    this.startTranscode(session);
+    const activeStream = this.activeStreams.get(session.streamKey);
+    this.thumbnailService.start(session, { isPrivate: activeStream ? activeStream.isPrivate : false });
+    this.startHealthSampling(session);
+    this.startRestream(session);
+    
+    if (this.io) {
+      this.io.to(`stream:${session.streamId}`).emit('stream-resumed', {
+        streamId: session.streamId,
+        resumedAt: new Date()
+      });
+    }
+    
+    await Stream.updateOne({ _id: session.streamId, status: 'reconnecting' }, { status: 'live' });
+    
+    logger.info(`[RTMP] Stream resumed: ${session.streamKey}`, { streamId: session.streamId });
+  }
+  
+  // Copy codec and resolution details from the NMS publisher session
+  captureSessionStats(session) {
+    const nmsSession = this.nms.getSession(session.id);
+    if (!nmsSession) {
+      return;
+    }
+    
+    session.width = nmsSession.videoWidth;
+    session.height = nmsSession.videoHeight;
+    session.videoCodec = nmsSession.videoCodecName;
+    session.frameRate = nmsSession.videoFps;
+    session.videoBitrate = nmsSession.bitrate;
+    session.audioCodec = nmsSession.audioCodecName;
+  }
+  
+  // Transcode a live session into the ABR ladder, sized to its source resolution
+  startTranscode(session) {
+    this.transcodeService.start(session, session.transcodeSettings).catch((error) => {
+      logger.error(`[ABR] Failed to start transcoding ${session.streamKey}:`, error);
+    });
+  }
+  
+  // Begin periodic ingest sampling for a live publisher
+  startHealthSampling(session) {
+    const nmsSession = this.nms.getSession(session.id);
+    if (nmsSession) {
+      this.healthService.startSampling(session, nmsSession);
+    }
+  }
+  
+  // Relay a live session to its owner's enabled restream destinations
+  startRestream(session) {
+    this.restreamService.start(session).catch((error) => {
+      logger.error(`[RESTREAM] Failed to start relays for ${session.streamKey}:`, error);
+    });
+  }
+  
+  // Find the live publisher session belonging to a user, if any
+  getLiveSessionForUser(userId) {
+    for (const session of this.streamSessions.values()) {
+      if (session.state === 'live' && session.userId.toString() === userId.toString()) {
+        return session;
+      }
+    }
+    return null;
+  }
+  
+  // Apply a destination toggle to the user's current broadcast
+  updateRestreamDestination(userId, destination) {
+    const session = this.getLiveSessionForUser(userId);
+    if (!session) return null;
+    
+    if (destination.enabled) {
+      return this.restreamService.startRelay(session, destination);
+    }
+    
+    this.restreamService.stopRelay(session.streamKey, destination._id);
+    return null;
+  }
+  
+  // Start pulling an external source into its stream
+  startPullSource(source, stream) {
+    return this.pullIngestService.start(source, stream);
+  }
+  
+  // Stop pulling an external source; its broadcast ends through donePublish
+  stopPullSource(sourceId) {
+    return this.pullIngestService.stop(sourceId);
+  }
+  
+  getPullSourceStatus(sourceId) {
+    return this.pullIngestService.getStatus(sourceId);
+  }
+  
+  // Live broadcast behind an HTTP playback request, looked up by stream id so
+  // viewers never need the stream key
+  getPlaybackSession(streamId) {
+    for (const [streamKey, activeStream] of this.activeStreams) {
+      if (activeStream.streamId.toString() === streamId.toString()) {
+        return {
+          streamKey,
+          streamId: activeStream.streamId,
+          isPrivate: activeStream.isPrivate,
+          outputDir: this.transcodeService.getOutputDir(streamKey)
+        };
+      }
+    }
+    return null;
+  }
+  
+  // LL-HLS packager for one rendition of a live low-latency stream
+  getLowLatencyPackager(streamKey, renditionName) {
+    return this.transcodeService.getPackager(streamKey, renditionName);
+  }
+  
+  getLowLatencyMasterPlaylist(streamKey) {
+    return this.transcodeService.getLowLatencyMasterPlaylist(streamKey);
+  }
+  
+  // Get ingest health (current sample, history, warnings) by stream key
+  getStreamHealth(streamKey) {
+    return this.healthService.getHealth(streamKey);
+  }
+  
+  // Get stream info by stream key. Restream status (destination names and
+  // relay errors) is only included for `user` when they own the stream or
+  // are an admin.
+  async getStreamInfo(streamKey, user) {
     try {
       const stream = await Stream.findOne({ streamKey })
         .populate('user', 'username profilePicture')
@@ -226,18 +629,22 @@ class RTMPServer {
       }
       
       const session = this.streamSessions.get(streamKey);
+      const activeStream = this.activeStreams.get(streamKey);
       const streamInfo = {
         id: stream._id,
         title: stream.title,
         description: stream.description,
-        isLive: stream.isLive,
+        status: stream.status,
+        isLive: stream.status === 'live',
         isPrivate: stream.isPrivate,
-        thumbnail: stream.thumbnail,
+        lowLatency: stream.lowLatency,
+        dvrWindow: stream.dvrWindow,
+        thumbnail: stream.thumbnailUrl,
         tags: stream.tags,
         user: stream.user,
-        viewerCount: 0, // Will be updated by WebSocket server
+        viewerCount: activeStream ? activeStream.viewers : 0,
         startedAt: stream.startedAt,
-        duration: stream.isLive ? Math.floor((Date.now() - new Date(stream.startedAt).getTime()) / 1000) : 0,
+        duration: stream.status === 'live' ? Math.floor((Date.now() - new Date(stream.startedAt).getTime()) / 1000) : (stream.duration || 0),
         session: session ? {
           width: session.width,
           height: session.height,
@@ -245,10 +652,18 @@ class RTMPServer {
           audioCodec: session.audioCodec,
           videoBitrate: session.videoBitrate,
           audioBitrate: session.audioBitrate,
-          frameRate: session.frameRate
-        } : null
+          frameRate: session.frameRate,
+          keyframeInterval: session.keyframeInterval
+        } : null,
+        transcodeProfile: stream.transcodeProfile,
+        transcode: this.transcodeService.getStatus(streamKey)
       };
       
+      const ownerId = stream.user ? (stream.user._id || stream.user).toString() : null;
+      if (user && (user._id.toString() === ownerId || user.role === 'admin')) {
+        streamInfo.restream = this.restreamService.getStatus(streamKey);
+      }
+      
       return streamInfo;
     } catch (error) {
       logger.error('Error getting stream info:', error);
@@ -256,6 +671,28 @@ class RTMPServer {
     }
   }
   
+  // Check the playback settings a streamer may choose and bring them to
+  // their stored form; throws a 400 error when one is invalid
+  normalizeStreamSettings(settings) {
+    const normalized = { ...settings };
+    
+    if (normalized.lowLatency !== undefined && typeof normalized.lowLatency !== 'boolean') {
+      throw settingsError('lowLatency must be true or false');
+    }
+    
+    // Whole seconds; longer windows than the server allows are capped
+    if (normalized.dvrWindow !== undefined) {
+      const { dvrWindow } = normalized;
+      const seconds = typeof dvrWindow === 'string' && dvrWindow.trim() !== '' ? Number(dvrWindow) : dvrWindow;
+      if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) {
+        throw settingsError('dvrWindow must be a number of seconds, 0 or more');
+      }
+      normalized.dvrWindow = Math.min(Math.floor(seconds), config.dvr.maxWindow);
+    }
+    
+    return normalized;
+  }
+  
   // Update stream metadata
   async updateStreamMetadata(streamKey, metadata) {
     try {
@@ -266,19 +703,30 @@ class RTMPServer {
       }
       
       // Update allowed fields
-      const allowedUpdates = ['title', 'description', 'isPrivate', 'tags', 'thumbnail'];
-      const updates = {};
+      const allowedUpdates = ['title', 'description', 'isPrivate', 'tags', 'thumbnail', 'lowLatency', 'dvrWindow'];
+      let updates = {};
       
       for (const key in metadata) {
         if (allowedUpdates.includes(key)) {
           updates[key] = metadata[key];
         }
       }
+      updates = this.normalizeStreamSettings(updates);
       
       if (Object.keys(updates).length > 0) {
         Object.assign(stream, updates);
         await stream.save();
         
+        // Playback checks read privacy from the live broadcast
+        const activeStream = this.activeStreams.get(streamKey);
+        if (activeStream) {
+          if (updates.title !== undefined) activeStream.title = stream.title;
+          if (updates.isPrivate !== undefined) {
+            activeStream.isPrivate = stream.isPrivate;
+            this.thumbnailService.setPrivate(streamKey, stream.isPrivate);
+          }
+        }
+        
         // Notify viewers about metadata update
         const roomName = `stream:${stream._id}`;
         this.io.to(roomName).emit('stream-metadata-updated', {
@@ -297,45 +745,61 @@ class RTMPServer {
     }
   }
   
-  // End a stream
-  async endStream(streamKey) {
+  // End a stream, moving it to `ended` (or `error`) and releasing its resources
+  async endStream(streamKey, status = 'ended') {
     try {
-      const stream = await Stream.findOne({ streamKey });
-      
-      if (!stream) {
-        throw new Error('Stream not found');
-      }
+      const session = this.streamSessions.get(streamKey);
       
-      if (!stream.isLive) {
+      if (!session || session.state === 'ended') {
         throw new Error('Stream is not live');
       }
       
-      // Update stream status
-      stream.isLive = false;
-      stream.endedAt = new Date();
-      await stream.save();
+      // Tear down in-memory state synchronously so the end is only handled once
+      const wasLive = ['live', 'reconnecting', 'resuming'].includes(session.state);
+      const activeStream = this.activeStreams.get(streamKey);
+      clearTimeout(session.reconnectTimer);
+      session.state = 'ended';
+      this.streamSessions.delete(streamKey);
+      this.activeStreams.delete(streamKey);
       
-      // Get session info before removing it
-      const session = this.streamSessions.get(streamKey);
+      if (wasLive) {
+        recordingService.stopRecording(streamKey);
+      }
+      this.transcodeService.stop(streamKey, { removeOutput: true });
+      this.thumbnailService.stop(streamKey);
+      this.healthService.clear(streamKey);
+      this.restreamService.stop(streamKey);
+      this.highlightService.stop(session.streamId);
       
-      // Remove session
-      this.streamSessions.delete(streamKey);
+      const endedAt = new Date();
+      const duration = Math.floor((endedAt - session.startTime) / 1000);
       
-      // Notify WebSocket server
-      if (this.io) {
+      // Notify WebSocket clients, but only for broadcasts that actually went live
+      if (this.io && wasLive) {
         this.io.emit('stream-ended', {
-          streamId: stream._id,
-          endedAt: stream.endedAt,
-          duration: Math.floor((stream.endedAt - stream.startedAt) / 1000)
+          streamId: session.streamId,
+          userId: session.userId,
+          status,
+          endedAt,
+          duration,
+          viewers: activeStream ? activeStream.viewers : 0
         });
       }
       
-      logger.info(`Stream ended: ${streamKey}`);
+      // Update stream status
+      const stream = await Stream.findById(session.streamId);
+      if (stream) {
+        stream.status = status;
+        stream.endedAt = endedAt;
+        await stream.save();
+      }
+      
+      logger.info(`Stream ${status}: ${streamKey}`);
       
       return {
         success: true,
-        streamId: stream._id,
-        duration: Math.floor((stream.endedAt - stream.startedAt) / 1000),
+        streamId: session.streamId,
+        duration,
         session
       };
     } catch (error) {
@@ -347,118 +811,77 @@ class RTMPServer {
   initializeEventHandlers() {
     // Handle new RTMP connections
     this.nms.on('preConnect', (id, args) => {
-      logger.debug(`[RTMP] New connection: ${id}`, { args });
+      logger.debug(`[RTMP] New connection: ${id}`, { args: this.redactArgs(args) });
     });
     
     // Handle RTMP disconnections
     this.nms.on('doneConnect', (id, args) => {
-      logger.debug(`[RTMP] Connection closed: ${id}`, { args });
+      logger.debug(`[RTMP] Connection closed: ${id}`, { args: this.redactArgs(args) });
+      this.releasePlayer(id);
     });
     
     // Handle pre-publish (when a streamer starts streaming)
-    this.nms.on('prePublish', async (id, StreamPath, args) => {
+    this.nms.on('prePublish', (id, StreamPath, args) => {
       const streamKey = this.extractStreamKey(StreamPath);
-      const { token } = args;
       
-      logger.info(`[RTMP] Pre-publish: ${streamKey}`, { id, args });
+      logger.info(`[RTMP] Pre-publish: ${streamKey}`, { id, args: this.redactArgs(args) });
       
-      try {
-        // Authenticate publisher
-        const { user, stream } = await this.authenticatePublisher(streamKey, token);
-        
-        // Store session info
-        this.streamSessions.set(streamKey, {
-          id,
-          streamId: stream._id,
-          userId: user._id,
-          startTime: new Date(),
-          args
-        });
-        
-        // Update stream status
-        stream.isLive = true;
-        stream.startedAt = new Date();
-        await stream.save();
-        
-        logger.info(`[RTMP] Stream started: ${streamKey} by user ${user._id}`, {
-          streamId: stream._id,
-          title: stream.title
+      // NMS doesn't wait for async handlers, so postPublish/donePublish
+      // wait on this promise before acting on the session
+      const authorization = this.beginPublish(id, streamKey, args)
+        .catch((error) => {
+          logger.error(`[RTMP] Pre-publish authentication failed: ${streamKey}`, { error: error.message });
+          const session = this.nms.getSession(id);
+          if (session) {
+            session.reject();
+          }
+          return null;
         });
-      } catch (error) {
-        logger.error(`[RTMP] Pre-publish authentication failed: ${streamKey}`, { error: error.message });
-        const session = this.nms.getSession(id);
-        if (session) {
-          session.reject();
-        }
-      }
+      
+      this.pendingPublishes.set(id, authorization);
     });
     
     // Handle post-publish (successful stream start)
-    this.nms.on('postPublish', (id, StreamPath, args) => {
+    this.nms.on('postPublish', async (id, StreamPath, args) => {
       const streamKey = this.extractStreamKey(StreamPath);
-      const session = this.streamSessions.get(streamKey) || {};
+      const authorization = await this.pendingPublishes.get(id);
       
-      // Update session with stream info
-      const streamInfo = this.nms.getSession(id)?.streams?.video || {};
-      if (streamInfo) {
-        session.width = streamInfo.width;
-        session.height = streamInfo.height;
-        session.videoCodec = streamInfo.codec;
-        session.videoBitrate = streamInfo.bitrate;
-        session.frameRate = streamInfo.fps;
+      if (!authorization) {
+        return;
       }
       
-      const audioInfo = this.nms.getSession(id)?.streams?.audio;
-      if (audioInfo) {
-        session.audioCodec = audioInfo.codec;
-        session.audioBitrate = audioInfo.bitrate;
-      }
+      const { session, stream } = authorization;
       
-      logger.info(`[RTMP] Post-publish: ${streamKey}`, {
-        id,
-        session: {
-          width: session.width,
-          height: session.height,
-          videoCodec: session.videoCodec,
-          audioCodec: session.audioCodec,
-          videoBitrate: session.videoBitrate,
-          audioBitrate: session.audioBitrate,
-          frameRate: session.frameRate
-        }
-      });
-      
-      // Notify WebSocket server
-      if (this.io && session.streamId) {
-        this.io.emit('stream-started', {
-          streamId: session.streamId,
-          startedAt: session.startTime,
-          metadata: {
-            width: session.width,
-            height: session.height,
-            videoCodec: session.videoCodec,
-            audioCodec: session.audioCodec
-          }
-        });
+      try {
+        await this.markLive(session, stream);
+      } catch (error) {
+        logger.error(`[RTMP] Error in postPublish for ${streamKey}:`, error);
+        this.endStream(streamKey, 'error').catch(() => {});
       }
     });
     
     // Handle stream end
     this.nms.on('donePublish', async (id, StreamPath, args) => {
       const streamKey = this.extractStreamKey(StreamPath);
+      await this.pendingPublishes.get(id);
+      this.pendingPublishes.delete(id);
+      
+      // Ignore rejected publishers and sessions that were already ended
       const session = this.streamSessions.get(streamKey);
+      if (!session || session.id !== id) {
+        return;
+      }
       
-      logger.info(`[RTMP] Done publish: ${streamKey}`, { id, session });
+      logger.info(`[RTMP] Done publish: ${streamKey}`, { id });
       
-      if (session) {
-        try {
-          // End the stream
+      try {
+        if (session.state === 'live' && config.streaming.reconnectGracePeriod > 0) {
+          await this.beginReconnect(session);
+        } else {
           await this.endStream(streamKey);
-        } catch (error) {
-          logger.error(`[RTMP] Error in donePublish for ${streamKey}:`, error);
-        } finally {
-          // Clean up session
-          this.streamSessions.delete(streamKey);
         }
+      } catch (error) {
+        logger.error(`[RTMP] Error in donePublish for ${streamKey}:`, error);
       }
     });
     
@@ -467,11 +890,38 @@ class RTMPServer {
       const streamKey = this.extractStreamKey(StreamPath);
       const { token } = args;
       
-      logger.debug(`[RTMP] Pre-play: ${streamKey}`, { id, args });
+      logger.debug(`[RTMP] Pre-play: ${streamKey}`, { id, args: this.redactArgs(args) });
       
       // Authenticate viewer (non-blocking)
       this.authenticateViewer(streamKey, token)
-        .then(({ stream }) => {
+        .then(async ({ user, stream, internal, streamToken }) => {
+          const nmsSession = this.nms.getSession(id);
+          
+          // Viewer may have left while we were authenticating; internal
+          // consumers aren't counted as viewers
+          if (!nmsSession || internal) {
+            return;
+          }
+          
+          const ban = await Ban.findActive({ userId: user && user._id, ip: nmsSession.ip, action: 'play' });
+          if (ban) {
+            throw new Error(`Playback is banned${ban.reason ? `: ${ban.reason}` : ''}`);
+          }
+          
+          await streamTokenService.consume(streamToken);
+          if (!this.nms.getSession(id)) {
+            return;
+          }
+          
+          this.playerSessions.set(id, {
+            streamKey,
+            streamId: stream._id,
+            userId: user ? user._id : null,
+            ip: nmsSession.ip,
+            startTime: new Date()
+          });
+          this.updateViewerCount(streamKey, 1);
+          
           logger.info(`[RTMP] Play authorized: ${streamKey}`, { streamId: stream._id });
         })
         .catch((error) => {
@@ -487,148 +937,154 @@ class RTMPServer {
     this.nms.on('postPlay', (id, StreamPath, args) => {
       const streamKey = this.extractStreamKey(StreamPath);
       logger.debug(`[RTMP] Post-play: ${streamKey}`, { id });
-      
-      // Note: Viewer count is managed by WebSocket server for more accuracy
     });
     
     // Handle playback end
     this.nms.on('donePlay', (id, StreamPath, args) => {
       const streamKey = this.extractStreamKey(StreamPath);
       logger.debug(`[RTMP] Done play: ${streamKey}`, { id });
+      this.releasePlayer(id);
     });
+  }
+  
+  // All tracked NMS sessions: publishers and players, with IP, user and duration
+  listSessions() {
+    const now = Date.now();
+    const duration = (startTime) => Math.floor((now - new Date(startTime).getTime()) / 1000);
     
-    this.nms.on('prePublish', async (id, StreamPath, args) => {
-      const streamKey = this.extractStreamKey(StreamPath);
-      const session = this.streamSessions.get(id);
-      
-      if (!session || session.type !== 'publish') {
-        console.log(`[RTMP] Unauthorized publish attempt: ${streamKey}`);
-        return;
-      }
-      
-      console.log(`[RTMP] Stream started: ${streamKey} by user ${session.userId}`);
-      
-      const streamId = uuidv4();
-      const streamData = {
-        id: streamId,
-        streamKey,
-        userId: session.userId,
-        userRole: session.userRole,
-        path: StreamPath,
-        startTime: Date.now(),
-        viewers: 0,
-        metadata: {
-          title: args.title || 'Untitled Stream',
-          description: args.description || '',
-          isPrivate: args.private === 'true'
+    const publishers = Array.from(this.streamSessions.values()).map(session => ({
+      id: session.id,
+      type: 'publish',
+      state: session.state,
+      streamId: session.streamId,
+      userId: session.userId,
+      ip: session.ip,
+      startTime: session.startTime,
+      duration: duration(session.startTime)
+    }));
+    
+    const players = Array.from(this.playerSessions.entries()).map(([id, player]) => ({
+      id,
+      type: 'play',
+      streamId: player.streamId,
+      userId: player.userId,
+      ip: player.ip,
+      startTime: player.startTime,
+      duration: duration(player.startTime)
+    }));
+    
+    return { publishers, players };
+  }
+  
+  // Forcibly drop an NMS session. A dropped publisher may still reconnect
+  // within the grace period; use forceEndStream to end the broadcast.
+  disconnectSession(id) {
+    const nmsSession = this.nms.getSession(id);
+    if (!nmsSession) {
+      return false;
+    }
+    
+    logger.info(`[RTMP] Disconnecting session ${id}`);
+    nmsSession.reject();
+    return true;
+  }
+  
+  // End a broadcast now: stop recording, notify viewers and drop the publisher
+  async forceEndStream(streamKey, status = 'ended') {
+    const session = this.streamSessions.get(streamKey);
+    if (!session) {
+      throw new Error('Stream is not live');
+    }
+    
+    // endStream removes the session synchronously, so the donePublish that
+    // follows the reject is ignored instead of starting a reconnect window
+    const result = this.endStream(streamKey, status);
+    this.disconnectSession(session.id);
+    
+    logger.info(`[RTMP] Stream force-ended: ${streamKey}`);
+    return result;
+  }
+  
+  // Disconnect live sessions covered by a new ban
+  enforceBan(ban) {
+    const matches = (session) =>
+      (ban.user && session.userId && session.userId.toString() === ban.user.toString()) ||
+      (ban.ip && session.ip && session.ip.replace(/^::ffff:/, '') === ban.ip);
+    
+    if (ban.actions.includes('publish')) {
+      for (const session of Array.from(this.streamSessions.values())) {
+        if (matches(session)) {
+          this.forceEndStream(session.streamKey).catch((error) => {
+            logger.error(`[RTMP] Error ending banned stream ${session.streamKey}:`, error);
+          });
         }
-      };
-      
-      this.activeStreams.set(streamKey, streamData);
-      
-      // Start recording the stream
-      recordingService.startRecording(streamKey, session.userId);
-      
-      // Notify all clients about new stream
-      this.io.emit('stream-started', {
-        streamId,
-        streamKey,
-        userId: session.userId,
-        title: streamData.metadata.title,
-        isPrivate: streamData.metadata.isPrivate,
-        startTime: streamData.startTime,
-        thumbnail: `http://your-server-address/thumbnails/${streamId}.jpg`
-      });
-    });
-
-    this.nms.on('donePublish', (id, StreamPath, args) => {
-      const session = this.streamSessions.get(id);
-      const streamKey = session?.streamKey || this.extractStreamKey(StreamPath);
-      
-      console.log(`[RTMP] Stream ended: ${streamKey}`);
-      
-      if (this.activeStreams.has(streamKey)) {
-        const stream = this.activeStreams.get(streamKey);
-        const duration = Date.now() - stream.startTime;
-        
-        // Stop recording the stream
-        recordingService.stopRecording(streamKey);
-        
-        // Notify all clients that stream has ended
-        this.io.emit('stream-ended', {
-          streamKey,
-          streamId: stream.id,
-          userId: stream.userId,
-          duration,
-          endTime: Date.now(),
-          viewers: stream.viewers || 0
-        });
-        
-        // Clean up
-        this.activeStreams.delete(streamKey);
-        this.streamSessions.delete(id);
       }
-    });
+    }
     
-    // Handle client disconnection
-    this.nms.on('doneConnect', (id, args) => {
-      const session = this.streamSessions.get(id);
-      if (session) {
-        // Decrement viewer count for play sessions
-        if (session.type === 'play' && session.streamKey) {
-          this.updateViewerCount(session.streamKey, -1);
+    if (ban.actions.includes('play')) {
+      for (const [id, player] of Array.from(this.playerSessions.entries())) {
+        if (matches(player)) {
+          this.disconnectSession(id);
         }
-        this.streamSessions.delete(id);
       }
-    });
-  }
-
-  getActiveStreams() {
-    return Array.from(this.activeStreams.entries()).map(([key, value]) => ({
-      streamKey: key,
-      ...value
-    }));
+    }
   }
-
-  getStreamInfo(streamKey) {
-    return this.activeStreams.get(streamKey) || null;
+  
+  // Drop a viewer session and decrement the viewer count once
+  releasePlayer(id) {
+    const player = this.playerSessions.get(id);
+    if (player) {
+      this.playerSessions.delete(id);
+      this.updateViewerCount(player.streamKey, -1);
+    }
   }
-
+  
   updateViewerCount(streamKey, delta) {
     if (this.activeStreams.has(streamKey)) {
       const stream = this.activeStreams.get(streamKey);
       stream.viewers = Math.max(0, stream.viewers + delta);
       
       // Broadcast updated viewer count
-      this.io.emit('viewer-count-update', {
-        streamKey,
-        viewers: stream.viewers
-      });
+      if (this.io) {
+        this.io.emit('viewer-count-update', {
+          streamId: stream.streamId,
+          viewers: stream.viewers
+        });
+      }
       
       return stream.viewers;
     }
     return 0;
   }
-
+  
+  // NMS opens its listener synchronously and has no ready event
   start() {
-    return new Promise((resolve, reject) => {
-      this.nms.run();
-      
-      // Wait for server to be ready
-      this.nms.on('server_done', () => {
-        logger.info('RTMP Server is running', { port: 1935 });
-        resolve();
-      });
-      
-      this.nms.on('error', (error) => {
-        logger.error('RTMP Server error:', error);
-        reject(error);
-      });
+    this.nms.run();
+    logger.info('RTMP Server is running', { port: config.rtmp.port });
+    
+    // Post-processing, clip renders, exports and retention sweeps run on
+    // this server's workers
+    recordingService.registerJobs();
+    this.clipService.registerJobs();
+    this.exportService.registerJobs();
+    retentionService.registerJobs();
+    jobQueue.start();
+    retentionService.start(this.io);
+    
+    // Finish recordings a previous run of this server, or a node that has
+    // since stopped responding, was cut off in
+    recordingService.start().catch((error) => {
+      logger.error('Failed to recover interrupted recordings:', error);
     });
   }
   
   async stop() {
     try {
+      // Stop pulling external sources
+      for (const sourceId of Array.from(this.pullIngestService.pulls.keys())) {
+        this.pullIngestService.stop(sourceId);
+      }
+      
       // End all active streams gracefully
       const endPromises = [];
       for (const [streamKey] of this.streamSessions) {
@@ -638,6 +1094,8 @@ class RTMPServer {
       }
       
       await Promise.all(endPromises);
+      retentionService.stop();
+      recordingService.stop();
       
       // Stop the server
       this.nms.stop();
@@ -653,13 +1111,18 @@ class RTMPServer {
   getActiveStreams() {
     const activeStreams = [];
     
-    for (const [streamKey, session] of this.streamSessions.entries()) {
+    for (const [streamKey, stream] of this.activeStreams.entries()) {
+      const session = this.streamSessions.get(streamKey) || {};
+      
       activeStreams.push({
-        streamKey,
-        streamId: session.streamId,
-        userId: session.userId,
-        startTime: session.startTime,
-        duration: Math.floor((Date.now() - new Date(session.startTime).getTime()) / 1000),
+        streamId: stream.streamId,
+        userId: stream.userId,
+        title: stream.title,
+        isPrivate: stream.isPrivate,
+        startTime: stream.startTime,
+        viewers: stream.viewers,
+        status: session.state,
+        duration: Math.floor((Date.now() - new Date(stream.startTime).getTime()) / 1000),
         stats: {
           width: session.width,
           height: session.height,
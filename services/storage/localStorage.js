@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keeps media on the streaming node's disk under `root`. Keys are paths
+// relative to the root, so files produced in place (the usual case) are
+// already stored and `put` has nothing to do.
+class LocalStorage {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  // Absolute path for a key, refusing keys that escape the root
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (filePath !== this.root && !filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  // Store a local file under `key`, moving it into place when needed
+  async put(key, filePath) {
+    const target = this.resolve(key);
+    if (path.resolve(filePath) === target) return key;
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.promises.rename(filePath, target);
+    } catch (error) {
+      // Across filesystems a rename isn't possible
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(filePath, target);
+      await fs.promises.unlink(filePath);
+    }
+    return key;
+  }
+
+  // Store every file in a local directory under `prefix/`
+  async putDirectory(prefix, dirPath) {
+    const files = await fs.promises.readdir(dirPath);
+    for (const file of files) {
+      await this.put(`${prefix}/${file}`, path.join(dirPath, file));
+    }
+  }
+
+  read(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  // Size in bytes, or null when the key doesn't exist
+  async getSize(key) {
+    const stats = await fs.promises.stat(this.resolve(key)).catch(() => null);
+    return stats ? stats.size : null;
+  }
+
+  // Local files are streamed by the API rather than linked to directly
+  getLocalPath(key) {
+    return this.resolve(key);
+  }
+
+  async getSignedUrl() {
+    return null;
+  }
+
+  delete(key) {
+    return fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  // Delete everything whose key starts with `prefix`: a whole directory
+  // when it ends in '/', otherwise matching files in its directory
+  async deletePrefix(prefix) {
+    if (prefix.endsWith('/')) {
+      return fs.promises.rm(this.resolve(prefix), { recursive: true, force: true });
+    }
+
+    const dir = path.dirname(this.resolve(prefix));
+    const base = path.basename(prefix);
+    const files = await fs.promises.readdir(dir).catch(() => []);
+    await Promise.all(
+      files
+        .filter(file => file.startsWith(base))
+        .map(file => fs.promises.rm(path.join(dir, file), { recursive: true, force: true }))
+    );
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.webm': 'video/webm',
+  '.jpg': 'image/jpeg',
+  '.vtt': 'text/vtt',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment'
+};
+
+// Keeps media in an S3-compatible bucket (AWS S3, MinIO, ...). Files are
+// uploaded once they're finished; viewers download them with short-lived
+// signed URLs.
+class S3Storage {
+  constructor({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix, signedUrlTtl }) {
+    if (!bucket) {
+      throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix || '';
+    this.signedUrlTtl = signedUrlTtl;
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  // Upload a local file under `key` (multipart for large recordings)
+  async put(key, filePath) {
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: fs.createReadStream(filePath),
+        ContentType: CONTENT_TYPES[path.extname(key)] || 'application/octet-stream'
+      }
+    });
+    await upload.done();
+    return key;
+  }
+
+  // Upload every file in a local directory under `prefix/`
+  async putDirectory(prefix, dirPath) {
+    const files = await fs.promises.readdir(dirPath);
+    for (const file of files) {
+      await this.put(`${prefix}/${file}`, path.join(dirPath, file));
+    }
+  }
+
+  async read(key) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  // Size in bytes, or null when the key doesn't exist
+  async getSize(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return response.ContentLength;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  getLocalPath() {
+    return null;
+  }
+
+  // Signed GET URL; `filename` makes browsers save it as an attachment
+  getSignedUrl(key, { filename, expiresIn = this.signedUrlTtl } = {}) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      ...(filename && { ResponseContentDisposition: `attachment; filename="${filename.replace(/"/g, '')}"` })
+    });
+    return getSignedUrl(this.client, command, { expiresIn });
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  // Delete every object whose key starts with `prefix`
+  async deletePrefix(prefix) {
+    let continuationToken;
+    do {
+      const listing = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.objectKey(prefix),
+        ContinuationToken: continuationToken
+      }));
+
+      const objects = (listing.Contents || []).map(object => ({ Key: object.Key }));
+      if (objects.length > 0) {
+        await this.client.send(new DeleteObjectsCommand({
+          Bucket: this.bucket,
+          Delete: { Objects: objects, Quiet: true }
+        }));
+      }
+
+      continuationToken = listing.IsTruncated ? listing.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+}
+
+module.exports = S3Storage;
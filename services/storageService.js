@@ -0,0 +1,60 @@
+const path = require('path');
+const config = require('../config/config');
+const LocalStorage = require('./storage/localStorage');
+const S3Storage = require('./storage/s3Storage');
+
+// Media is produced under ./recordings and then kept by a storage driver.
+// Keys mirror that layout (`videos/<file>.mp4`, `thumbnails/<id>.jpg`,
+// `vod/<id>/...`, `clips/<id>.mp4`), so the local driver stores files in
+// place. Each Recording/Clip notes the driver holding its files, so changing
+// `config.storage.driver` only affects new media.
+const LOCAL_ROOT = path.join(__dirname, '../recordings');
+
+class StorageService {
+  constructor() {
+    this.drivers = new Map();
+  }
+
+  // Driver by name, defaulting to the configured one
+  driver(name = config.storage.driver) {
+    if (!this.drivers.has(name)) {
+      if (name === 'local') {
+        this.drivers.set(name, new LocalStorage({ root: LOCAL_ROOT }));
+      } else if (name === 's3') {
+        this.drivers.set(name, new S3Storage(config.storage.s3));
+      } else {
+        throw new Error(`Unknown storage driver: ${name}`);
+      }
+    }
+    return this.drivers.get(name);
+  }
+
+  // Local working path a key is produced at before it's stored
+  getWorkingPath(key) {
+    return path.join(LOCAL_ROOT, key);
+  }
+
+  // Send a stored file to the client: streamed from local disk (honouring
+  // range requests) or a redirect to a signed URL. `filename` makes it a
+  // download.
+  async sendFile(res, driverName, key, { filename } = {}) {
+    const storage = this.driver(driverName);
+    const localPath = storage.getLocalPath(key);
+
+    if (localPath) {
+      if (filename) res.attachment(filename);
+      return res.sendFile(localPath, (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).json({ success: false, message: 'File not found' });
+        }
+      });
+    }
+
+    res.redirect(await storage.getSignedUrl(key, { filename }));
+  }
+}
+
+// Create a singleton instance
+const storageService = new StorageService();
+
+module.exports = storageService;
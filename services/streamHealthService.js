@@ -0,0 +1,229 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+class StreamHealthService {
+  constructor(io) {
+    this.io = io;
+    this.monitors = new Map(); // streamKey -> monitor state and sample history
+  }
+  
+  // Start sampling a publisher's ingest. History is kept across reconnects
+  // of the same broadcast so the rolling window stays continuous.
+  startSampling(session, nmsSession) {
+    let monitor = this.monitors.get(session.streamKey);
+    
+    if (!monitor) {
+      monitor = {
+        streamKey: session.streamKey,
+        streamId: session.streamId,
+        userId: session.userId,
+        history: [],
+        warnings: new Set(),
+        timer: null
+      };
+      this.monitors.set(session.streamKey, monitor);
+    }
+    
+    this.stopSampling(session.streamKey);
+    
+    monitor.session = session;
+    monitor.nmsSession = nmsSession;
+    monitor.counters = this.createCounters(nmsSession);
+    this.instrumentVideo(monitor, nmsSession);
+    
+    monitor.timer = setInterval(() => this.sample(monitor), config.health.sampleInterval * 1000);
+  }
+  
+  // Stop sampling but keep the history (e.g. while a publisher reconnects)
+  stopSampling(streamKey) {
+    const monitor = this.monitors.get(streamKey);
+    if (monitor && monitor.timer) {
+      clearInterval(monitor.timer);
+      monitor.timer = null;
+    }
+  }
+  
+  // Forget everything about a finished broadcast
+  clear(streamKey) {
+    this.stopSampling(streamKey);
+    this.monitors.delete(streamKey);
+  }
+  
+  createCounters(nmsSession) {
+    return {
+      sampledAt: Date.now(),
+      bytesRead: nmsSession.socket ? nmsSession.socket.bytesRead : 0,
+      frames: 0,
+      keyframes: 0,
+      lastClock: null,
+      lastKeyframeClock: null,
+      keyframeIntervals: [],
+      droppedFrames: 0,
+      timestampGaps: 0
+    };
+  }
+  
+  // Wrap the NMS session's video handler to count frames, keyframes and
+  // timestamp gaps; NMS doesn't expose per-packet events.
+  instrumentVideo(monitor, nmsSession) {
+    if (nmsSession.healthInstrumented) {
+      return;
+    }
+    
+    const handleVideo = nmsSession.rtmpVideoHandler;
+    nmsSession.healthInstrumented = true;
+    
+    nmsSession.rtmpVideoHandler = function() {
+      const counters = monitor.nmsSession === this ? monitor.counters : null;
+      const payload = this.parserPacket.payload;
+      
+      if (counters && payload && payload.length > 1) {
+        const frameType = (payload[0] >> 4) & 0b0111;
+        const isSequenceHeader = (payload[0] & 0x0f) === 7 && payload[1] === 0;
+        const clock = this.parserPacket.clock;
+        
+        if (!isSequenceHeader) {
+          counters.frames++;
+          
+          // A gap well beyond the expected frame duration means frames were dropped upstream
+          const frameDuration = this.videoFps ? 1000 / this.videoFps : 0;
+          if (counters.lastClock !== null && frameDuration) {
+            const delta = clock - counters.lastClock;
+            if (delta > frameDuration * 1.5) {
+              counters.timestampGaps++;
+              counters.droppedFrames += Math.round(delta / frameDuration) - 1;
+            }
+          }
+          counters.lastClock = clock;
+          
+          if (frameType === 1) {
+            counters.keyframes++;
+            if (counters.lastKeyframeClock !== null) {
+              counters.keyframeIntervals.push((clock - counters.lastKeyframeClock) / 1000);
+            }
+            counters.lastKeyframeClock = clock;
+          }
+        }
+      }
+      
+      return handleVideo.call(this);
+    };
+  }
+  
+  // Take one sample of the publisher's ingest and check it for problems
+  sample(monitor) {
+    const { nmsSession, counters, session } = monitor;
+    const now = Date.now();
+    const elapsed = (now - counters.sampledAt) / 1000;
+    
+    if (!elapsed) {
+      return null;
+    }
+    
+    const bytesRead = nmsSession.socket ? nmsSession.socket.bytesRead : counters.bytesRead;
+    const intervals = counters.keyframeIntervals;
+    
+    // Without a keyframe in this window, the interval is at least the time since the last one
+    let keyframeInterval = intervals.length
+      ? intervals.reduce((sum, value) => sum + value, 0) / intervals.length
+      : null;
+    if (!intervals.length && counters.lastKeyframeClock !== null && counters.lastClock !== null) {
+      keyframeInterval = (counters.lastClock - counters.lastKeyframeClock) / 1000;
+    }
+    
+    const sample = {
+      timestamp: new Date(now),
+      bitrate: Math.round(((bytesRead - counters.bytesRead) * 8) / elapsed / 1000), // kbps
+      frameRate: Math.round((counters.frames / elapsed) * 10) / 10,
+      keyframes: counters.keyframes,
+      keyframeInterval: keyframeInterval !== null ? Math.round(keyframeInterval * 100) / 100 : null,
+      droppedFrames: counters.droppedFrames,
+      timestampGaps: counters.timestampGaps
+    };
+    
+    // Reset the window, carrying over the clocks so intervals span samples
+    Object.assign(counters, {
+      sampledAt: now,
+      bytesRead,
+      frames: 0,
+      keyframes: 0,
+      keyframeIntervals: [],
+      droppedFrames: 0,
+      timestampGaps: 0
+    });
+    
+    const previous = monitor.history.slice(-6);
+    monitor.history.push(sample);
+    if (monitor.history.length > config.health.historySize) {
+      monitor.history.shift();
+    }
+    
+    // Keep the session's stats current for the stream info API
+    session.videoBitrate = sample.bitrate;
+    session.frameRate = sample.frameRate;
+    session.keyframeInterval = sample.keyframeInterval;
+    
+    this.checkWarnings(monitor, sample, previous);
+    
+    return sample;
+  }
+  
+  // Compare a sample against the thresholds and alert the streamer once per problem
+  checkWarnings(monitor, sample, previous) {
+    const averageBitrate = previous.length
+      ? previous.reduce((sum, entry) => sum + entry.bitrate, 0) / previous.length
+      : null;
+    
+    const problems = {
+      'bitrate-low': sample.bitrate < config.health.minBitrate ||
+        (averageBitrate !== null && sample.bitrate < averageBitrate * config.health.bitrateDropRatio),
+      'keyframe-interval': sample.keyframeInterval !== null &&
+        sample.keyframeInterval > config.health.maxKeyframeInterval
+    };
+    
+    const messages = {
+      'bitrate-low': `Incoming bitrate dropped to ${sample.bitrate} kbps`,
+      'keyframe-interval': `Keyframe interval is ${sample.keyframeInterval}s (max ${config.health.maxKeyframeInterval}s)`
+    };
+    
+    for (const [type, active] of Object.entries(problems)) {
+      if (active && !monitor.warnings.has(type)) {
+        monitor.warnings.add(type);
+        this.notify(monitor, { level: 'warning', type, message: messages[type], sample });
+      } else if (!active && monitor.warnings.has(type)) {
+        monitor.warnings.delete(type);
+        this.notify(monitor, { level: 'resolved', type, message: `${type} recovered`, sample });
+      }
+    }
+  }
+  
+  notify(monitor, alert) {
+    logger.warn(`[HEALTH] ${monitor.streamKey}: ${alert.message}`, { type: alert.type, level: alert.level });
+    
+    if (this.io) {
+      this.io.to(`user:${monitor.userId}`).emit('stream-health', {
+        streamId: monitor.streamId,
+        ...alert
+      });
+    }
+  }
+  
+  // Get the current sample, rolling history and active warnings for a stream
+  getHealth(streamKey) {
+    const monitor = this.monitors.get(streamKey);
+    if (!monitor) {
+      return null;
+    }
+    
+    return {
+      streamId: monitor.streamId,
+      sampling: !!monitor.timer,
+      sampleInterval: config.health.sampleInterval,
+      current: monitor.history[monitor.history.length - 1] || null,
+      warnings: Array.from(monitor.warnings),
+      history: monitor.history
+    };
+  }
+}
+
+module.exports = StreamHealthService;
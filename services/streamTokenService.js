@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const UsedToken = require('../models/UsedToken');
+
+// Short-lived HMAC tokens for RTMP publish/play URLs and HTTP playback. A
+// token is scoped to a single stream key (or, for HTTP playback, a stream id
+// so the key never reaches viewers, a recording id, or for downloads an
+// export id) and action so a leaked URL can't be reused elsewhere:
+//
+//   base64url(JSON payload) + '.' + base64url(HMAC-SHA256(payload))
+class StreamTokenService {
+  // Mint a token for `action` ('publish' | 'play' on `streamKey`, 'watch' on
+  // `streamId`, 'vod' on `recordingId`, 'download' on `exportId`)
+  sign({ streamKey, streamId, recordingId, exportId, action, userId, ttl, singleUse = false, internal = false }) {
+    const defaultTtl = action === 'publish' ? config.streamTokens.publishTtl : config.streamTokens.playTtl;
+    const lifetime = Math.min(ttl || defaultTtl, config.streamTokens.maxTtl);
+    const expiresAt = Date.now() + lifetime * 1000;
+    
+    const payload = {
+      jti: uuidv4(),
+      ...(streamKey && { key: streamKey }),
+      ...(streamId && { sid: streamId.toString() }),
+      ...(recordingId && { rid: recordingId.toString() }),
+      ...(exportId && { xid: exportId.toString() }),
+      act: action,
+      sub: userId ? userId.toString() : null,
+      exp: Math.floor(expiresAt / 1000),
+      ...(singleUse && { once: true }),
+      ...(internal && { int: true })
+    };
+    
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return {
+      token: `${body}.${this.signature(body)}`,
+      expiresAt: new Date(payload.exp * 1000)
+    };
+  }
+  
+  // Verify a token for `action` on `streamKey`, `streamId`, `recordingId` or
+  // `exportId`; throws if it isn't valid. Single-use tokens aren't spent
+  // here: `consume` them once what they grant has been allowed.
+  verify(token, { streamKey, streamId, recordingId, exportId, action }) {
+    if (!token || typeof token !== 'string') {
+      throw new Error('No token provided');
+    }
+    
+    const [body, signature] = token.split('.');
+    if (!body || !signature || !this.isSignatureValid(body, signature)) {
+      throw new Error('Invalid stream token');
+    }
+    
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid stream token');
+    }
+    
+    let scopeMatches;
+    if (exportId !== undefined) {
+      scopeMatches = payload.xid === exportId.toString();
+    } else if (recordingId !== undefined) {
+      scopeMatches = payload.rid === recordingId.toString();
+    } else if (streamId !== undefined) {
+      scopeMatches = payload.sid === streamId.toString();
+    } else {
+      scopeMatches = streamKey !== undefined && payload.key === streamKey;
+    }
+    
+    if (!scopeMatches || payload.act !== action) {
+      throw new Error(`Stream token is not valid for ${action} on this stream`);
+    }
+    
+    if (payload.exp * 1000 <= Date.now()) {
+      throw new Error('Stream token has expired');
+    }
+    
+    return payload;
+  }
+  
+  // Spend a verified single-use token (other tokens pass through); rejects
+  // if it has already been used
+  async consume(payload) {
+    if (!payload || !payload.once) return;
+    
+    try {
+      await UsedToken.create({ jti: payload.jti, expiresAt: new Date(payload.exp * 1000) });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Stream token has already been used');
+      }
+      throw error;
+    }
+  }
+  
+  // Local play URL for the server's own consumers (recording, relays), which
+  // bypasses viewer checks and isn't counted as a viewer
+  internalPlayUrl(streamKey) {
+    const { token } = this.sign({ streamKey, action: 'play', internal: true });
+    return `rtmp://localhost/live/${streamKey}?token=${token}`;
+  }
+  
+  // Whether a token looks like one of ours rather than a user JWT
+  isStreamToken(token) {
+    return typeof token === 'string' && token.split('.').length === 2;
+  }
+  
+  signature(body) {
+    return crypto
+      .createHmac('sha256', config.streamTokens.secret)
+      .update(body)
+      .digest('base64url');
+  }
+  
+  isSignatureValid(body, signature) {
+    const expected = Buffer.from(this.signature(body));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+// Create a singleton instance
+const streamTokenService = new StreamTokenService();
+
+module.exports = streamTokenService;
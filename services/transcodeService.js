@@ -0,0 +1,531 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const streamTokenService = require('./streamTokenService');
+const LowLatencyHlsPackager = require('./llHlsPackager');
+
+// H.264 profile_idc and constraint flags as they appear in an RFC 6381 codec string
+const H264_PROFILES = {
+  baseline: '42e0',
+  main: '4d40',
+  high: '6400'
+};
+
+const AAC_LC = 'mp4a.40.2';
+
+// Media segments written by ffmpeg (HLS segments, LL-HLS parts, DASH chunks)
+// and by the LL-HLS packager
+const SEGMENT_FILE = /^(seg_\d+\.(ts|m4s)|part_\d+\.m4s|chunk-stream\d+-\d+\.m4s)$/;
+
+// Transcodes a live stream according to a transcoding profile: an HLS
+// adaptive bitrate ladder with its master playlist at
+// <playback.mediaDir>/<streamKey>/index.m3u8 and/or a DASH manifest at
+// index.mpd. Viewers reach it through the playback gateway.
+// Low-latency streams write short fMP4 parts that LowLatencyHlsPackager
+// turns into LL-HLS and regular playlists.
+// Streams with a DVR window keep that many seconds in their playlists so
+// viewers can rewind; a periodic sweep bounds the segments left on disk.
+class TranscodeService {
+  constructor() {
+    this.transcodes = new Map(); // streamKey -> transcode state
+    this.sweepTimer = null;
+    this.sweeping = false;
+  }
+  
+  // Directory the output for a stream is written to
+  getOutputDir(streamKey) {
+    return path.resolve(config.playback.mediaDir, streamKey);
+  }
+  
+  // Segment length: the configured target rounded up to whole GOPs
+  getSegmentDuration(settings) {
+    return Math.ceil(config.abr.hlsTime / settings.gopSeconds) * settings.gopSeconds;
+  }
+  
+  // LL-HLS parts making up one full segment
+  getPartsPerSegment(settings) {
+    return Math.max(1, Math.round(this.getSegmentDuration(settings) / config.llHls.partDuration));
+  }
+  
+  // Segments kept in each media playlist: the DVR window, or the short
+  // live window when the stream has none
+  getPlaylistSize(settings) {
+    return settings.dvrWindow
+      ? Math.ceil(settings.dvrWindow / this.getSegmentDuration(settings))
+      : config.abr.hlsListSize;
+  }
+  
+  // Distance from the end of the playlist players should start at ("jump to
+  // live"), in seconds
+  getLiveOffset(settings) {
+    return settings.lowLatency
+      ? config.llHls.partDuration * 3
+      : this.getSegmentDuration(settings) * 3;
+  }
+  
+  // HEVC and low-latency output use fMP4 segments rather than MPEG-TS
+  usesFmp4(settings) {
+    return settings.videoCodec === 'h265' || settings.lowLatency;
+  }
+  
+  // Pick the rungs to encode for a source: rungs above the source resolution
+  // are skipped, keeping at least one video rung (at the source height when
+  // the source is smaller than every rung)
+  selectRenditions(settings, source = {}) {
+    const { width, height } = source;
+    const videoRungs = settings.renditions.filter(rung => !rung.audioOnly);
+    const audioRungs = settings.renditions.filter(rung => rung.audioOnly);
+    
+    let selected = height ? videoRungs.filter(rung => rung.height <= height) : videoRungs;
+    if (selected.length === 0 && videoRungs.length > 0) {
+      const lowest = videoRungs.reduce((a, b) => (a.height <= b.height ? a : b));
+      selected = [{ ...lowest, height }];
+    }
+    
+    const aspect = width && height ? width / height : 16 / 9;
+    
+    return selected
+      .sort((a, b) => b.height - a.height)
+      .map(rung => ({
+        ...rung,
+        width: Math.round((rung.height * aspect) / 2) * 2
+      }))
+      .concat(audioRungs)
+      .map(rung => ({
+        ...rung,
+        audioBitrate: rung.audioBitrate || settings.audioBitrate
+      }));
+  }
+  
+  // Peak bandwidth in bits per second, including ~10% container overhead
+  getBandwidth(rendition) {
+    const kbps = (rendition.audioOnly ? 0 : rendition.videoBitrate) + rendition.audioBitrate;
+    return Math.round(kbps * 1000 * 1.1);
+  }
+  
+  // RFC 6381 CODECS attribute for a rendition
+  getCodecs(rendition, settings) {
+    if (rendition.audioOnly) {
+      return AAC_LC;
+    }
+    
+    const level = parseFloat(rendition.level);
+    
+    // HEVC Main profile; the level is signalled as level * 30
+    if (settings.videoCodec === 'h265') {
+      return `hvc1.1.6.L${Math.round(level * 30)}.B0,${AAC_LC}`;
+    }
+    
+    const profile = H264_PROFILES[rendition.profile] || H264_PROFILES.main;
+    return `avc1.${profile}${Math.round(level * 10).toString(16).padStart(2, '0')},${AAC_LC}`;
+  }
+  
+  // Build the master playlist listing every rendition
+  buildMasterPlaylist(renditions, settings) {
+    // fMP4 segments need version 7
+    const version = this.usesFmp4(settings) ? 7 : 3;
+    const lines = ['#EXTM3U', `#EXT-X-VERSION:${version}`, '#EXT-X-INDEPENDENT-SEGMENTS'];
+    
+    // With a long DVR window players would otherwise start at the oldest segment
+    if (settings.dvrWindow) {
+      lines.push(`#EXT-X-START:TIME-OFFSET=-${this.getLiveOffset(settings).toFixed(3)}`);
+    }
+    
+    for (const rendition of renditions) {
+      const attributes = [
+        `BANDWIDTH=${this.getBandwidth(rendition)}`,
+        `CODECS="${this.getCodecs(rendition, settings)}"`
+      ];
+      if (!rendition.audioOnly) {
+        attributes.push(`RESOLUTION=${rendition.width}x${rendition.height}`);
+      }
+      
+      lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+      lines.push(`${rendition.name}/index.m3u8`);
+    }
+    
+    return lines.join('\n') + '\n';
+  }
+  
+  // Encoder options shared by the HLS and DASH outputs
+  getVideoCodecOptions(settings) {
+    const options = settings.videoCodec === 'h265'
+      ? ['-c:v libx265', '-tag:v hvc1']
+      : ['-c:v libx264'];
+    
+    return [
+      ...options,
+      '-preset veryfast',
+      // Keyframes on segment boundaries so every rendition switches cleanly
+      `-force_key_frames expr:gte(t,n_forced*${settings.gopSeconds})`,
+      '-sc_threshold 0'
+    ];
+  }
+  
+  // Profile and level options for one video rendition (`suffix` selects the
+  // output stream, e.g. `:v:1`, when several renditions share an output)
+  getRenditionVideoOptions(rendition, settings, suffix = '') {
+    const options = [
+      `-b${suffix || ':v'} ${rendition.videoBitrate}k`,
+      `-maxrate${suffix} ${rendition.videoBitrate}k`,
+      `-bufsize${suffix} ${rendition.videoBitrate * 2}k`
+    ];
+    
+    if (settings.videoCodec === 'h265') {
+      options.push(`-x265-params${suffix} level-idc=${rendition.level}`);
+    } else {
+      options.push(`-profile${suffix || ':v'} ${rendition.profile || 'main'}`);
+      options.push(`-level${suffix} ${rendition.level}`);
+    }
+    
+    return options;
+  }
+  
+  // ffmpeg output options for one rendition's HLS playlist
+  getHlsOutputOptions(rendition, settings, outputDir) {
+    const fmp4 = this.usesFmp4(settings);
+    const hlsOptions = settings.lowLatency
+      ? [
+        // Parts are cut on time rather than keyframes; the packager groups
+        // them into segments and needs them on disk for the whole window
+        `-hls_time ${config.llHls.partDuration}`,
+        `-hls_list_size ${this.getPartsPerSegment(settings) * (config.abr.hlsListSize + 2)}`,
+        '-hls_flags split_by_time+delete_segments+temp_file',
+        '-hls_fmp4_init_filename init.mp4',
+        `-hls_segment_filename ${path.join(outputDir, rendition.name, 'part_%d.m4s')}`
+      ]
+      : [
+        `-hls_time ${this.getSegmentDuration(settings)}`,
+        `-hls_list_size ${this.getPlaylistSize(settings)}`,
+        // append_list picks the playlist back up after a reconnect so the
+        // DVR window survives it, marked with a discontinuity
+        '-hls_flags delete_segments+independent_segments+program_date_time+append_list+discont_start',
+        `-hls_segment_filename ${path.join(outputDir, rendition.name, fmp4 ? 'seg_%d.m4s' : 'seg_%d.ts')}`
+      ];
+    const options = [
+      '-c:a aac',
+      `-b:a ${rendition.audioBitrate}k`,
+      '-ac 2',
+      '-f hls',
+      // Keep sequence numbers increasing when the ladder restarts after a reconnect
+      '-hls_start_number_source datetime',
+      ...(fmp4 ? ['-hls_segment_type fmp4'] : []),
+      ...hlsOptions
+    ];
+    
+    if (rendition.audioOnly) {
+      return ['-vn', ...options];
+    }
+    
+    return [
+      `-vf scale=${rendition.width}:${rendition.height}`,
+      ...this.getVideoCodecOptions(settings),
+      ...this.getRenditionVideoOptions(rendition, settings),
+      ...options
+    ];
+  }
+  
+  // ffmpeg output options for a DASH manifest carrying every video rendition
+  // in one adaptation set and the audio in another
+  getDashOutputOptions(renditions, settings) {
+    const videoRenditions = renditions.filter(rendition => !rendition.audioOnly);
+    const audioBitrate = Math.max(...renditions.map(rendition => rendition.audioBitrate));
+    const options = [];
+    
+    videoRenditions.forEach(() => options.push('-map 0:v:0'));
+    options.push('-map 0:a:0?');
+    
+    videoRenditions.forEach((rendition, index) => {
+      options.push(`-filter:v:${index} scale=${rendition.width}:${rendition.height}`);
+      options.push(...this.getRenditionVideoOptions(rendition, settings, `:v:${index}`));
+    });
+    
+    return [
+      ...options,
+      ...this.getVideoCodecOptions(settings),
+      '-c:a aac',
+      `-b:a ${audioBitrate}k`,
+      '-ac 2',
+      '-f dash',
+      `-seg_duration ${this.getSegmentDuration(settings)}`,
+      `-window_size ${this.getPlaylistSize(settings)}`,
+      '-extra_window_size 1',
+      '-use_template 1',
+      '-use_timeline 1',
+      '-adaptation_sets id=0,streams=v id=1,streams=a'
+    ];
+  }
+  
+  // Start transcoding a live session with its profile (or the default one)
+  async start(session, profileSettings = config.abr.defaultProfile) {
+    const { streamKey } = session;
+    
+    if (this.transcodes.has(streamKey)) {
+      return this.transcodes.get(streamKey);
+    }
+    
+    const settings = {
+      ...profileSettings,
+      lowLatency: Boolean(session.lowLatency && profileSettings.hls),
+      dvrWindow: Math.min(session.dvrWindow || 0, config.dvr.maxWindow)
+    };
+    
+    const outputDir = this.getOutputDir(streamKey);
+    const renditions = this.selectRenditions(settings, {
+      width: session.width,
+      height: session.height
+    });
+    
+    const transcode = {
+      streamKey,
+      streamId: session.streamId,
+      profile: settings.name,
+      settings,
+      renditions,
+      packagers: new Map(), // rendition name -> LL-HLS packager
+      status: 'starting',
+      command: null,
+      stopped: false
+    };
+    this.transcodes.set(streamKey, transcode);
+    this.startSweeping();
+    
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    if (settings.hls) {
+      for (const rendition of renditions) {
+        await fs.promises.mkdir(path.join(outputDir, rendition.name), { recursive: true });
+      }
+      await fs.promises.writeFile(path.join(outputDir, 'index.m3u8'), this.buildMasterPlaylist(renditions, settings));
+    }
+    
+    // Stopped while the output directory was being prepared
+    if (transcode.stopped) {
+      return transcode;
+    }
+    
+    const command = ffmpeg().input(streamTokenService.internalPlayUrl(streamKey));
+    if (settings.hls) {
+      for (const rendition of renditions) {
+        const playlist = settings.lowLatency ? LowLatencyHlsPackager.PARTS_PLAYLIST : 'index.m3u8';
+        command
+          .output(path.join(outputDir, rendition.name, playlist))
+          .outputOptions(this.getHlsOutputOptions(rendition, settings, outputDir));
+      }
+    }
+    if (settings.dash) {
+      command
+        .output(path.join(outputDir, 'index.mpd'))
+        .outputOptions(this.getDashOutputOptions(renditions, settings));
+    }
+    
+    command
+      .on('start', () => {
+        transcode.status = 'live';
+        logger.info(`[ABR] Transcoding ${streamKey} with profile ${settings.name}`, {
+          renditions: renditions.map(rendition => rendition.name),
+          hls: settings.hls,
+          dash: settings.dash
+        });
+      })
+      .on('error', (err) => this.handleExit(transcode, command, err))
+      .on('end', () => this.handleExit(transcode, command, null));
+    
+    transcode.command = command;
+    command.run();
+    
+    if (settings.lowLatency) {
+      for (const rendition of renditions) {
+        const packager = new LowLatencyHlsPackager({
+          dir: path.join(outputDir, rendition.name),
+          partTarget: config.llHls.partDuration,
+          partsPerSegment: this.getPartsPerSegment(settings),
+          windowSize: this.getPlaylistSize(settings),
+          audioOnly: Boolean(rendition.audioOnly)
+        });
+        packager.start();
+        transcode.packagers.set(rendition.name, packager);
+      }
+    }
+    
+    return transcode;
+  }
+  
+  handleExit(transcode, command, error) {
+    if (transcode.command !== command) return;
+    transcode.command = null;
+    
+    if (transcode.stopped) return;
+    
+    // The input ends on its own when the publisher drops
+    if (error) {
+      transcode.status = 'failed';
+      logger.error(`[ABR] Transcoding failed for ${transcode.streamKey}:`, { error: error.message });
+    } else {
+      transcode.status = 'ended';
+    }
+  }
+  
+  // Stop transcoding a stream. `removeOutput` deletes its playlists and
+  // segments once the broadcast is over.
+  stop(streamKey, { removeOutput = false } = {}) {
+    const transcode = this.transcodes.get(streamKey);
+    if (transcode) {
+      transcode.stopped = true;
+      if (transcode.command) {
+        transcode.command.kill('SIGTERM');
+        transcode.command = null;
+      }
+      transcode.packagers.forEach(packager => packager.stop());
+      this.transcodes.delete(streamKey);
+      
+      if (this.transcodes.size === 0) {
+        this.stopSweeping();
+      }
+    }
+    
+    if (removeOutput) {
+      fs.promises.rm(this.getOutputDir(streamKey), { recursive: true, force: true }).catch((error) => {
+        logger.error(`[ABR] Failed to remove output for ${streamKey}:`, error);
+      });
+    }
+    
+    return Boolean(transcode);
+  }
+  
+  startSweeping() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => this.sweep(), config.dvr.sweepInterval * 1000);
+  }
+  
+  stopSweeping() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+  
+  // Delete live segments older than their stream's window. ffmpeg and the
+  // LL-HLS packager drop segments as they leave the playlist, but not ones
+  // orphaned by a restart, so this keeps disk use bounded by the window.
+  async sweep() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+    
+    try {
+      for (const transcode of this.transcodes.values()) {
+        await this.sweepTranscode(transcode);
+      }
+    } finally {
+      this.sweeping = false;
+    }
+  }
+  
+  async sweepTranscode(transcode) {
+    const { settings } = transcode;
+    const segmentDuration = this.getSegmentDuration(settings);
+    // Keep a few segments of slack for players still fetching the oldest ones
+    const retention = (this.getPlaylistSize(settings) + 3) * segmentDuration * 1000;
+    const cutoff = Date.now() - retention;
+    const outputDir = this.getOutputDir(transcode.streamKey);
+    const dirs = [outputDir, ...transcode.renditions.map(rendition => path.join(outputDir, rendition.name))];
+    
+    let removed = 0;
+    for (const dir of dirs) {
+      const files = await fs.promises.readdir(dir).catch(() => []);
+      for (const file of files) {
+        // Init segments and playlists are written once and must stay
+        if (!SEGMENT_FILE.test(file)) continue;
+        
+        const filePath = path.join(dir, file);
+        const stats = await fs.promises.stat(filePath).catch(() => null);
+        if (stats && stats.mtimeMs < cutoff) {
+          await fs.promises.unlink(filePath).catch(() => {});
+          removed++;
+        }
+      }
+    }
+    
+    if (removed > 0) {
+      logger.info(`[ABR] Swept ${removed} expired segments for ${transcode.streamKey}`);
+    }
+  }
+  
+  // LL-HLS packager for one rendition of a low-latency stream
+  getPackager(streamKey, renditionName) {
+    const transcode = this.transcodes.get(streamKey);
+    return transcode ? transcode.packagers.get(renditionName) || null : null;
+  }
+  
+  // Master playlist for the LL-HLS renditions of a low-latency stream
+  getLowLatencyMasterPlaylist(streamKey) {
+    const transcode = this.transcodes.get(streamKey);
+    if (!transcode || !transcode.settings.lowLatency) return null;
+    
+    return this.buildMasterPlaylist(transcode.renditions, transcode.settings);
+  }
+  
+  // Segments of the top rendition's live playlist covering at least the
+  // last `seconds` (or all of it when the window is shorter), for clipping
+  async getRecentSegments(streamKey, seconds) {
+    const transcode = this.transcodes.get(streamKey);
+    if (!transcode || !transcode.settings.hls) return null;
+
+    const rendition = transcode.renditions.find(candidate => !candidate.audioOnly) || transcode.renditions[0];
+    const dir = path.join(this.getOutputDir(streamKey), rendition.name);
+    const playlist = await fs.promises.readFile(path.join(dir, 'index.m3u8'), 'utf8').catch(() => null);
+    if (!playlist) return null;
+
+    let map = null;
+    let duration = null;
+    const segments = [];
+    for (const line of playlist.split('\n').map(entry => entry.trim())) {
+      if (line.startsWith('#EXT-X-MAP:')) {
+        map = /URI="([^"]+)"/.exec(line)[1];
+      } else if (line.startsWith('#EXTINF:')) {
+        duration = parseFloat(line.slice('#EXTINF:'.length));
+      } else if (line && !line.startsWith('#') && duration !== null) {
+        segments.push({ uri: line, duration });
+        duration = null;
+      }
+    }
+
+    const selected = [];
+    let total = 0;
+    for (let i = segments.length - 1; i >= 0 && total < seconds; i--) {
+      selected.unshift(segments[i]);
+      total += segments[i].duration;
+    }
+
+    return { dir, map, segments: selected, duration: total };
+  }
+
+  // Profile and renditions being produced for a stream
+  getStatus(streamKey) {
+    const transcode = this.transcodes.get(streamKey);
+    if (!transcode) return null;
+    
+    const { settings } = transcode;
+    
+    return {
+      status: transcode.status,
+      profile: transcode.profile,
+      videoCodec: settings.videoCodec,
+      hls: settings.hls,
+      dash: settings.dash,
+      lowLatency: settings.lowLatency,
+      dvr: settings.dvrWindow ? {
+        window: settings.dvrWindow,
+        liveOffset: this.getLiveOffset(settings)
+      } : null,
+      renditions: transcode.renditions.map(rendition => ({
+        name: rendition.name,
+        width: rendition.audioOnly ? null : rendition.width,
+        height: rendition.audioOnly ? null : rendition.height,
+        bandwidth: this.getBandwidth(rendition),
+        codecs: this.getCodecs(rendition, settings)
+      }))
+    };
+  }
+}
+
+module.exports = TranscodeService;
@@ -39,6 +39,9 @@ class WebSocketServer {
       }
       this.connectedUsers.get(user._id.toString()).add(socket.id);
       
+      // Per-user room for notifications aimed at this user's sockets
+      await socket.join(`user:${user._id}`);
+      
       return user;
     } catch (error) {
       logger.error('Socket authentication error:', error);
@@ -84,7 +87,7 @@ class WebSocketServer {
       });
       
       // Send current stream info to the user
-      const streamInfo = await this.rtmpServer.getStreamInfo(stream.streamKey);
+      const streamInfo = await this.rtmpServer.getStreamInfo(stream.streamKey, socket.user);
       if (streamInfo) {
         socket.emit('stream-info', streamInfo);
       }
@@ -133,6 +136,7 @@ class WebSocketServer {
       
       // Broadcast message to room
       this.io.to(roomName).emit('chat-message', chatMessage);
+      this.rtmpServer.highlightService.recordActivity(streamId, 'chat');
       
       // Log the message (you might want to save it to the database here)
       logger.info(`Chat message in ${roomName} from ${socket.user.username}: ${message}`);
@@ -166,6 +170,7 @@ class WebSocketServer {
         reaction,
         timestamp: Date.now()
       });
+      this.rtmpServer.highlightService.recordActivity(streamId, 'reactions');
       
       return { success: true };
     } catch (error) {
@@ -174,6 +179,57 @@ class WebSocketServer {
     }
   }
   
+  // Handle clip requests; the clip renders in the background and
+  // `clip-ready` (or `clip-failed`) follows on the user's sockets
+  async handleCreateClip(socket, { streamId, recordingId, start, end, duration, title } = {}) {
+    try {
+      if (!socket.user) {
+        throw new Error('Not authenticated');
+      }
+      
+      const clip = await this.rtmpServer.clipService.createClip({
+        user: socket.user,
+        ip: socket.handshake.address,
+        streamId,
+        recordingId,
+        start,
+        end,
+        duration,
+        title
+      });
+      
+      return { success: true, clip: clip.toJSON() };
+    } catch (error) {
+      logger.error('Error creating clip:', error);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  // Handle markers the streamer drops on their live stream; they become
+  // chapters of the recording
+  async handleAddMarker(socket, { streamId, title } = {}) {
+    try {
+      if (!socket.user) {
+        throw new Error('Not authenticated');
+      }
+      
+      if (title !== undefined && (typeof title !== 'string' || title.trim().length > 100)) {
+        throw new Error('Title must be 100 characters or fewer');
+      }
+      
+      const marker = await this.rtmpServer.highlightService.addManualMarker(
+        streamId,
+        socket.user,
+        title && title.trim()
+      );
+      
+      return { success: true, marker };
+    } catch (error) {
+      logger.error('Error adding marker:', error);
+      return { success: false, error: error.message };
+    }
+  }
+  
   // Handle socket disconnection
   handleDisconnect(socket) {
     if (socket.user) {
@@ -292,6 +348,22 @@ class WebSocketServer {
         }
       });
       
+      // Handle clip requests
+      socket.on('create-clip', async (data, callback) => {
+        const result = await this.handleCreateClip(socket, data);
+        if (typeof callback === 'function') {
+          callback(result);
+        }
+      });
+      
+      // Handle stream markers
+      socket.on('add-marker', async (data, callback) => {
+        const result = await this.handleAddMarker(socket, data);
+        if (typeof callback === 'function') {
+          callback(result);
+        }
+      });
+      
       // Handle disconnection
       socket.on('disconnect', () => {
         this.handleDisconnect(socket);
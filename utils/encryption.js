@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// AES-256-GCM encryption for secrets stored at rest (e.g. restream keys).
+// Output format: base64(iv):base64(authTag):base64(ciphertext)
+const ALGORITHM = 'aes-256-gcm';
+
+// Derive a fixed-length key from the configured secret
+const getKey = () => crypto.createHash('sha256').update(config.encryption.secret).digest();
+
+exports.encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv, authTag, encrypted].map(part => part.toString('base64')).join(':');
+};
+
+exports.decrypt = (payload) => {
+  const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
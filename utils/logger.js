@@ -1,11 +1,45 @@
 const winston = require('winston');
 const path = require('path');
 
+// Keys whose values never get written to the logs
+const SECRET_KEYS = ['token', 'password', 'authorization'];
+
+// Recursively replace secrets in plain objects, arrays and query strings
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return value.replace(/(token=)[^&\s"']+/gi, '$1[REDACTED]');
+  }
+  if (!value || typeof value !== 'object' || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  if (Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+  
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEYS.includes(key.toLowerCase()) ? '[REDACTED]' : redact(item, depth + 1);
+  }
+  return copy;
+};
+
+// Strip stream tokens and other credentials from every log entry
+const redactSecrets = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    info[key] = SECRET_KEYS.includes(key.toLowerCase()) ? '[REDACTED]' : redact(info[key]);
+  }
+  return info;
+});
+
 // Define log format
 const logFormat = winston.format.combine(
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.errors({ stack: true }),
   winston.format.splat(),
+  redactSecrets(),
   winston.format.json()
 );
 